@@ -0,0 +1,131 @@
+/**
+ * Relay server — the fallback game channel for networks where WebRTC
+ * can't connect. Pairs a host and a guest by a short room code, like the
+ * signaling server, then forwards every message between them verbatim, so
+ * the game channel runs over two WebSockets instead of a data channel.
+ *
+ *   node server/relay.mjs [port]          (default RELAY_PORT 8788, or $PORT)
+ *
+ * Needs nothing but Node. Adds a hop of latency compared to a direct
+ * connection, which rollback hides like any other latency. Pairing
+ * protocol (JSON text messages, before the room is full):
+ *
+ *   client → server
+ *     { type: 'host' }                 open a room
+ *     { type: 'join', code }           join a room as the guest
+ *
+ *   server → client
+ *     { type: 'room', code }           host: your room code
+ *     { type: 'paired' }               both: the other player is here
+ *     { type: 'error', message }       bad code, room full, ...
+ *
+ * After 'paired' the server stops reading: each text or binary message is
+ * passed to the other player as-is. When either player leaves, the room
+ * closes and the other one is disconnected.
+ */
+import { createServer } from 'node:http';
+import { RELAY_PORT } from '../src/constants.js';
+import { acceptWebSocket } from './ws.mjs';
+import { newRoomCode, normalizeRoomCode } from './rooms.mjs';
+
+const port = Number(process.argv[2]) || Number(process.env.PORT) || RELAY_PORT;
+
+const CLOSE_PEER_LEFT = 4001;
+
+/** code → { host, guest } */
+const rooms = new Map();
+
+// ─── Rooms ───────────────────────────────────────────────────
+
+function send(ws, msg) {
+  ws?.send(JSON.stringify(msg));
+}
+
+function handleMessage(ws, msg) {
+  switch (msg.type) {
+    case 'host': {
+      const code = newRoomCode(rooms);
+      rooms.set(code, { host: ws, guest: null });
+      ws.room = code;
+      send(ws, { type: 'room', code });
+      log(`room ${code} opened`);
+      break;
+    }
+
+    case 'join': {
+      const code = normalizeRoomCode(msg.code);
+      const room = rooms.get(code);
+      if (!room) {
+        send(ws, { type: 'error', message: `No room "${code}"` });
+      } else if (room.guest) {
+        send(ws, { type: 'error', message: `Room ${code} is full` });
+      } else {
+        room.guest = ws;
+        ws.room = code;
+        ws.peer = room.host;
+        room.host.peer = ws;
+        send(room.host, { type: 'paired' });
+        send(ws, { type: 'paired' });
+        log(`room ${code} paired`);
+      }
+      break;
+    }
+  }
+}
+
+/** Close a connection's room and disconnect the other player. */
+function leave(ws) {
+  const room = rooms.get(ws.room);
+  if (!room) return;
+
+  rooms.delete(ws.room);
+  const other = ws === room.host ? room.guest : room.host;
+  if (other) {
+    other.room = null;
+    other.peer = null;
+    other.close(CLOSE_PEER_LEFT, 'The other player left');
+  }
+  log(`room ${ws.room} closed`);
+  ws.room = null;
+  ws.peer = null;
+}
+
+function log(text) {
+  console.log(`[relay] ${text} (${rooms.size} open)`);
+}
+
+// ─── Server ──────────────────────────────────────────────────
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end('Z2 Clone relay server — connect with a WebSocket.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const ws = acceptWebSocket(req, socket);
+  if (!ws) return;
+  ws.room = null;
+  ws.peer = null;
+
+  ws.on('message', (data) => {
+    // Paired: pass through untouched
+    if (ws.peer) {
+      ws.peer.send(data);
+      return;
+    }
+    // One room per connection, and only pairing messages until then
+    if (ws.room || typeof data !== 'string') return;
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return; // ignore malformed
+    }
+    if (msg && typeof msg === 'object') handleMessage(ws, msg);
+  });
+  ws.on('close', () => leave(ws));
+});
+
+server.listen(port, () => {
+  console.log(`[relay] listening on ws://0.0.0.0:${port}`);
+});
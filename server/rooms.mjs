@@ -0,0 +1,24 @@
+/**
+ * Room codes shared by the signaling and relay servers: four letters a
+ * player can read out loud.
+ */
+
+// No vowels (no accidental words) and nothing that reads like a digit
+const CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+const CODE_LENGTH = 4;
+
+/** A fresh code not yet used as a key of `rooms` (a Map). */
+export function newRoomCode(rooms) {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+    if (!rooms.has(code)) return code;
+  }
+}
+
+/** A code as typed by a player, in the form the rooms are keyed by. */
+export function normalizeRoomCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
@@ -0,0 +1,127 @@
+/**
+ * Signaling server — pairs a host and a guest by a short room code and
+ * passes WebRTC descriptions and ICE candidates between them. Game data
+ * never goes through here; once the data channel is open the server is
+ * out of the picture.
+ *
+ *   node server/signaling.mjs [port]      (default SIGNALING_PORT 8787, or $PORT)
+ *
+ * Needs nothing but Node, so it runs on any machine on the LAN with no
+ * internet access. Protocol (JSON text messages):
+ *
+ *   client → server
+ *     { type: 'host' }                 open a room
+ *     { type: 'join', code }           join a room as the guest
+ *     { type: 'signal', data }         forward `data` to the other peer
+ *
+ *   server → client
+ *     { type: 'room', code }           host: your room code
+ *     { type: 'joined', code }         guest: you're in
+ *     { type: 'peerJoined' }           host: the guest arrived — send your offer
+ *     { type: 'signal', data }         from the other peer
+ *     { type: 'peerLeft' }             the other peer disconnected
+ *     { type: 'error', message }       bad code, room full, ...
+ */
+import { createServer } from 'node:http';
+import { SIGNALING_PORT } from '../src/constants.js';
+import { acceptWebSocket } from './ws.mjs';
+import { newRoomCode, normalizeRoomCode } from './rooms.mjs';
+
+const port = Number(process.argv[2]) || Number(process.env.PORT) || SIGNALING_PORT;
+
+/** code → { host, guest } */
+const rooms = new Map();
+
+// ─── Rooms ───────────────────────────────────────────────────
+
+function send(ws, msg) {
+  ws?.send(JSON.stringify(msg));
+}
+
+function handleMessage(ws, msg) {
+  switch (msg.type) {
+    case 'host': {
+      leave(ws);
+      const code = newRoomCode(rooms);
+      rooms.set(code, { host: ws, guest: null });
+      ws.room = code;
+      send(ws, { type: 'room', code });
+      log(`room ${code} opened`);
+      break;
+    }
+
+    case 'join': {
+      const code = normalizeRoomCode(msg.code);
+      const room = rooms.get(code);
+      if (!room) {
+        send(ws, { type: 'error', message: `No room "${code}"` });
+      } else if (room.guest) {
+        send(ws, { type: 'error', message: `Room ${code} is full` });
+      } else {
+        leave(ws);
+        room.guest = ws;
+        ws.room = code;
+        send(ws, { type: 'joined', code });
+        send(room.host, { type: 'peerJoined' });
+        log(`room ${code} joined`);
+      }
+      break;
+    }
+
+    case 'signal': {
+      const room = rooms.get(ws.room);
+      if (!room) return;
+      send(ws === room.host ? room.guest : room.host, { type: 'signal', data: msg.data });
+      break;
+    }
+  }
+}
+
+/** Take a connection out of its room; the room closes with its host. */
+function leave(ws) {
+  const room = rooms.get(ws.room);
+  if (!room) return;
+
+  if (ws === room.host) {
+    rooms.delete(ws.room);
+    send(room.guest, { type: 'peerLeft' });
+    if (room.guest) room.guest.room = null;
+    log(`room ${ws.room} closed`);
+  } else if (ws === room.guest) {
+    room.guest = null;
+    send(room.host, { type: 'peerLeft' });
+  }
+  ws.room = null;
+}
+
+function log(text) {
+  console.log(`[signaling] ${text} (${rooms.size} open)`);
+}
+
+// ─── Server ──────────────────────────────────────────────────
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end('Z2 Clone signaling server — connect with a WebSocket.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const ws = acceptWebSocket(req, socket);
+  if (!ws) return;
+  ws.room = null;
+
+  ws.on('message', (text) => {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      return; // ignore malformed
+    }
+    if (msg && typeof msg === 'object') handleMessage(ws, msg);
+  });
+  ws.on('close', () => leave(ws));
+});
+
+server.listen(port, () => {
+  console.log(`[signaling] listening on ws://0.0.0.0:${port}`);
+});
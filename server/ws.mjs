@@ -0,0 +1,190 @@
+/**
+ * Minimal WebSocket server side (RFC 6455) on top of node:http — just
+ * enough for the signaling and relay servers: text and binary messages,
+ * ping/pong and close.
+ * No dependencies, so the servers run with a bare `node` on a LAN box.
+ *
+ *   server.on('upgrade', (req, socket) => {
+ *     const ws = acceptWebSocket(req, socket);
+ *     if (!ws) return;
+ *     ws.on('message', (text) => ...);
+ *     ws.on('close', () => ...);
+ *     ws.send('hello');
+ *   });
+ */
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1 << 20; // 1 MiB — SDP and snapshots fit comfortably
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/**
+ * Complete the upgrade handshake and wrap the socket. Returns a
+ * WebSocketConnection, or null (after rejecting) if the request isn't a
+ * valid WebSocket upgrade.
+ */
+export function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  return new WebSocketConnection(socket);
+}
+
+/** Emits 'message' (string, or Buffer for binary frames) and 'close'. */
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this._buf = Buffer.alloc(0);
+    this._fragments = [];   // payloads of a fragmented message so far
+    this._fragmentOp = 0;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('close', () => this._closed());
+    socket.on('error', () => this._closed());
+  }
+
+  /** Send a text message (strings) or a binary one (Buffers / typed arrays). */
+  send(data) {
+    if (!this.open) return;
+    if (typeof data === 'string') this._sendFrame(OP_TEXT, Buffer.from(data));
+    else this._sendFrame(OP_BINARY, Buffer.from(data.buffer ?? data, data.byteOffset, data.byteLength));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    const payload = Buffer.concat([Buffer.alloc(2), Buffer.from(reason)]);
+    payload.writeUInt16BE(code);
+    this._sendFrame(OP_CLOSE, payload);
+    this.socket.end();
+    this._closed();
+  }
+
+  // ─── Internals ───────────────────────────────────────────
+
+  _closed() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close');
+  }
+
+  _sendFrame(opcode, payload) {
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+      header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 0x10000) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(len, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  _onData(chunk) {
+    this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+
+    while (this.open) {
+      const frame = this._parseFrame();
+      if (!frame) return;
+      if (frame.error) {
+        this.close(frame.error);
+        return;
+      }
+      this._onFrame(frame);
+    }
+  }
+
+  /** Take one complete frame off the buffer, or null if more bytes are needed. */
+  _parseFrame() {
+    const buf = this._buf;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (len === 126) {
+      if (buf.length < 4) return null;
+      len = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      if (big > BigInt(MAX_MESSAGE)) return { error: 1009 };
+      len = Number(big);
+      offset = 10;
+    }
+    if (len > MAX_MESSAGE) return { error: 1009 };
+    if (!masked) return { error: 1002 }; // clients must mask
+
+    if (buf.length < offset + 4 + len) return null;
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+    for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+
+    this._buf = buf.subarray(offset + 4 + len);
+    return { fin, opcode, payload };
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OP_PING:
+        this._sendFrame(OP_PONG, payload);
+        return;
+      case OP_PONG:
+        return;
+      case OP_CLOSE:
+        this.close();
+        return;
+      case OP_TEXT:
+      case OP_BINARY:
+        this._fragmentOp = opcode;
+        this._fragments = [payload];
+        break;
+      case OP_CONTINUATION:
+        this._fragments.push(payload);
+        break;
+      default:
+        this.close(1002);
+        return;
+    }
+
+    if (!fin) {
+      const size = this._fragments.reduce((n, p) => n + p.length, 0);
+      if (size > MAX_MESSAGE) this.close(1009);
+      return;
+    }
+
+    const data = Buffer.concat(this._fragments);
+    this._fragments = [];
+    this.emit('message', this._fragmentOp === OP_TEXT ? data.toString('utf8') : data);
+  }
+}
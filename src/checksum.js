@@ -0,0 +1,118 @@
+/**
+ * Deterministic game-state checksum (32-bit FNV-1a).
+ *
+ * Walks the state tree with object keys in sorted order, so the hash
+ * depends only on the values — not on property insertion order, which
+ * can differ between a fresh state and one copied into a reused slot.
+ * Used by the rollback layer to detect desyncs between peers; diffState
+ * says where two states that hash differently part ways.
+ */
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// Type tags keep e.g. 0 / false / null / '' from hashing alike
+const TAG_NULL = 1;
+const TAG_FALSE = 2;
+const TAG_TRUE = 3;
+const TAG_INT = 4;
+const TAG_NUM = 5;
+const TAG_STR = 6;
+const TAG_ARRAY = 7;
+const TAG_OBJECT = 8;
+
+/** Returns the state's checksum as an unsigned 32-bit integer. */
+export function hashState(state) {
+  return hashValue(FNV_OFFSET, state) >>> 0;
+}
+
+/** Checksum formatted for display and logs, e.g. "0x1a2b3c4d". */
+export function formatHash(hash) {
+  return '0x' + (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Field-level differences between two states, as lines like
+ * "state.players[1].x: 5120 → 5376" — at most `limit` of them. A field
+ * present on only one side shows as undefined on the other.
+ */
+export function diffState(a, b, limit = 20) {
+  const out = [];
+  diffValue(a, b, 'state', out, limit);
+  return out;
+}
+
+// ─── Internals ───────────────────────────────────────────────
+
+function mixByte(h, b) {
+  return Math.imul(h ^ (b & 0xff), FNV_PRIME);
+}
+
+function mixInt(h, n) {
+  h = mixByte(h, n);
+  h = mixByte(h, n >>> 8);
+  h = mixByte(h, n >>> 16);
+  return mixByte(h, n >>> 24);
+}
+
+function mixString(h, s) {
+  h = mixInt(h, s.length);
+  for (let i = 0; i < s.length; i++) h = mixInt(h, s.charCodeAt(i));
+  return h;
+}
+
+function hashValue(h, v) {
+  if (v === null || v === undefined) return mixByte(h, TAG_NULL);
+
+  switch (typeof v) {
+    case 'boolean':
+      return mixByte(h, v ? TAG_TRUE : TAG_FALSE);
+    case 'number':
+      // Simulation values are integers; anything else is a bug worth
+      // hashing distinctly rather than silently truncating
+      if ((v | 0) === v) return mixInt(mixByte(h, TAG_INT), v);
+      return mixString(mixByte(h, TAG_NUM), String(v));
+    case 'string':
+      return mixString(mixByte(h, TAG_STR), v);
+  }
+
+  if (Array.isArray(v)) {
+    h = mixInt(mixByte(h, TAG_ARRAY), v.length);
+    for (let i = 0; i < v.length; i++) h = hashValue(h, v[i]);
+    return h;
+  }
+
+  const keys = Object.keys(v).sort();
+  h = mixInt(mixByte(h, TAG_OBJECT), keys.length);
+  for (const k of keys) {
+    h = mixString(h, k);
+    h = hashValue(h, v[k]);
+  }
+  return h;
+}
+
+function diffValue(a, b, path, out, limit) {
+  if (out.length >= limit) return;
+  const objects = a !== null && b !== null && typeof a === 'object' && typeof b === 'object' &&
+    Array.isArray(a) === Array.isArray(b);
+  if (!objects) {
+    if (a !== b) out.push(`${path}: ${formatValue(a)} → ${formatValue(b)}`);
+    return;
+  }
+
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) out.push(`${path}.length: ${a.length} → ${b.length}`);
+    for (let i = 0; i < Math.min(a.length, b.length); i++) diffValue(a[i], b[i], `${path}[${i}]`, out, limit);
+    return;
+  }
+
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  for (const k of keys) diffValue(a[k], b[k], `${path}.${k}`, out, limit);
+}
+
+function formatValue(v) {
+  if (typeof v === 'string') return JSON.stringify(v);
+  if (v === null || typeof v !== 'object') return String(v);
+  const json = JSON.stringify(v);
+  return json.length > 60 ? `${json.slice(0, 57)}...` : json;
+}
@@ -0,0 +1,200 @@
+/**
+ * Shared hit resolution — shield rules, damage and stun.
+ * Used by the simulation and by weapon behavior hooks.
+ */
+import * as C from './constants.js';
+import { fx, idiv } from './fixed.js';
+import { emitEvent } from './events.js';
+
+// ─── Body Geometry ───────────────────────────────────────────
+
+/** Body height for the current stance (fixed-point). */
+export function bodyHeight(p) {
+  return fx(p.stance === 'crouching' ? C.PLAYER_CROUCH_HEIGHT : C.PLAYER_STAND_HEIGHT);
+}
+
+/** Does the player's body cover `level` (height above ground, fixed-point)? */
+export function bodyCovers(p, level) {
+  return level >= p.y && level <= p.y + bodyHeight(p);
+}
+
+/** Does the player's body overlap the vertical span [lo, hi] (fixed-point)? */
+export function bodyOverlaps(p, lo, hi) {
+  return hi >= p.y && lo <= p.y + bodyHeight(p);
+}
+
+/** Middle of the player's body in fixed-point screen space (event/effect anchor). */
+export function bodyCenter(p) {
+  return {
+    x: p.x + fx(C.PLAYER_WIDTH / 2),
+    y: fx(C.GROUND_Y) - p.y - idiv(bodyHeight(p), 2),
+  };
+}
+
+/** Where the player's shield sits, in fixed-point screen space. */
+function shieldPoint(p) {
+  return {
+    x: p.x + fx(C.PLAYER_WIDTH / 2) + p.facing * fx(C.PLAYER_WIDTH / 2),
+    y: fx(C.GROUND_Y) - p.y - idiv(bodyHeight(p) * 3, 4),
+  };
+}
+
+// ─── Hits ────────────────────────────────────────────────────
+
+/**
+ * Resolve a melee hit — checks blocking rules.
+ * attackHeight:
+ *   'high'     — blocked by the standing shield from the front
+ *   'low'      — blocked by the crouching shield from the front
+ *   'overhead' — down-thrust: blocked by the standing shield from the front,
+ *                but unblockable when the attacker is directly overhead
+ *   'rising'   — up-thrust: comes from below the feet, no shield covers it
+ * Airborne players always hold the standing (high) shield.
+ * A block right after switching into the blocking stance is a parry.
+ */
+export function resolveHit(state, atkIdx, defIdx, attackHeight, wDef) {
+  const atk = state.players[atkIdx];
+  const def = state.players[defIdx];
+
+  // Is defender facing the attacker?
+  const defCX = def.x + fx(C.PLAYER_WIDTH / 2);
+  const atkCX = atk.x + fx(C.PLAYER_WIDTH / 2);
+  const facingAttacker =
+    (def.facing === 1 && atkCX > defCX) ||
+    (def.facing === -1 && atkCX < defCX);
+  const overhead = Math.abs(atkCX - defCX) < fx(C.PLAYER_WIDTH / 2);
+
+  // Shield blocks if facing attacker AND shield height matches attack height
+  const shieldHigh = def.stance === 'standing';
+  const blocked = facingAttacker && (
+    (attackHeight === 'high' && shieldHigh) ||
+    (attackHeight === 'low' && !shieldHigh) ||
+    (attackHeight === 'overhead' && shieldHigh && !overhead)
+  );
+
+  // Knock the defender away from the attacker; the attacker takes the
+  // push instead if the defender is cornered (see updatePushback)
+  const dir = defCX === atkCX ? atk.facing : Math.sign(defCX - atkCX);
+
+  const who = { player: atkIdx, target: defIdx, weapon: wDef.id };
+  if (blocked && isParry(def)) {
+    applyParry(state, defIdx, who);
+    staggerAttacker(atk);
+  } else if (blocked) {
+    emitEvent(state, 'block', { ...who, ...shieldPoint(def) });
+    applyBlock(state, defIdx, createPush(wDef.blockPushback, dir, atkIdx));
+  } else {
+    emitEvent(state, 'hit', { ...who, ...bodyCenter(def) });
+    applyDamage(state, defIdx, wDef.damage, createPush(wDef.knockback, dir, atkIdx));
+  }
+}
+
+/**
+ * Resolve a projectile touching a (non-owner) player.
+ * Head-level passes over crouchers; ankle-level can only be blocked low.
+ * Either passes under/over an airborne player whose body isn't at its level.
+ * A parried projectile is destroyed unless the weapon passes `onParry`
+ * (e.g. reflectProjectile) to send it somewhere else.
+ */
+export function resolveProjectileHit(state, proj, defIdx, onParry) {
+  const def = state.players[defIdx];
+
+  // Projectile y is in screen space; convert to height above ground
+  if (!bodyCovers(def, fx(C.GROUND_Y) - proj.y)) return;
+
+  // Projectiles push along their travel direction; nobody to push back
+  const hitPush = createPush(proj.knockback, proj.direction, -1);
+  const blockPush = createPush(proj.blockPushback, proj.direction, -1);
+
+  // Head-level: standing (high) shield blocks. Ankle-level: only the
+  // crouching (low) shield blocks — the standing shield is too high.
+  let blocked;
+  if (proj.height === 'head') blocked = isFacingProjectile(def, proj);
+  else if (proj.height === 'ankle') blocked = def.stance === 'crouching' && isFacingProjectile(def, proj);
+  else return;
+
+  proj.active = false;
+  const who = { player: proj.owner, target: defIdx, weapon: proj.weapon };
+  if (blocked && isParry(def)) {
+    applyParry(state, defIdx, who);
+    if (onParry) onParry(state, proj, defIdx);
+  } else if (blocked) {
+    emitEvent(state, 'block', { ...who, x: proj.x, y: proj.y });
+    applyBlock(state, defIdx, blockPush);
+  } else {
+    emitEvent(state, 'hit', { ...who, x: proj.x, y: proj.y });
+    applyDamage(state, defIdx, proj.damage, hitPush);
+  }
+}
+
+/** onParry handler: the projectile flies back at its thrower. */
+export function reflectProjectile(state, proj, defIdx) {
+  proj.active = true;
+  proj.owner = defIdx;
+  proj.direction = -proj.direction;
+}
+
+export function isFacingProjectile(defender, proj) {
+  // Defender faces against the projectile's travel direction to block it
+  return defender.facing === -proj.direction;
+}
+
+export function applyBlock(state, playerIdx, push) {
+  const p = state.players[playerIdx];
+  p.state = 'blockstun';
+  p.stateTimer = C.BLOCKSTUN_FRAMES;
+  state.hitstop = C.HITSTOP_BLOCK;
+  startPush(p, push);
+}
+
+export function applyDamage(state, playerIdx, damage, push) {
+  const p = state.players[playerIdx];
+  p.hp = Math.max(0, p.hp - damage);
+  p.state = 'hitstun';
+  p.stateTimer = C.HITSTUN_FRAMES;
+  state.hitstop = C.HITSTOP_HIT;
+  startPush(p, push);
+}
+
+// ─── Parry ───────────────────────────────────────────────────
+
+/** Did the defender switch into their (blocking) stance just now, on the ground? */
+function isParry(def) {
+  return !def.airborne && def.stanceAge < C.PARRY_WINDOW_FRAMES;
+}
+
+/** The defender takes no blockstun and is free to punish. */
+function applyParry(state, defIdx, who) {
+  const at = shieldPoint(state.players[defIdx]);
+  state.hitstop = C.HITSTOP_PARRY;
+  state.effects.push({ kind: 'parry', ...at, timer: C.PARRY_EFFECT_FRAMES });
+  emitEvent(state, 'parry', { ...who, ...at });
+}
+
+/** A parried melee attacker loses the attack and is stuck in recovery. */
+function staggerAttacker(atk) {
+  atk.state = 'parried';
+  atk.stateTimer = C.PARRY_RECOVERY_FRAMES;
+  atk.activeWeapon = null;
+  atk.attackKind = 'normal';
+  atk.attackSpawned = false;
+}
+
+// ─── Knockback / Pushback ────────────────────────────────────
+
+/**
+ * spec: { distance, speed } in pixels (weapon def), dir: ±1,
+ * from: attacker index (pushed back when the target is cornered) or -1.
+ */
+export function createPush(spec, dir, from) {
+  if (!spec) return null;
+  return { distance: fx(spec.distance), speed: fx(spec.speed), dir, from };
+}
+
+function startPush(p, push) {
+  if (!push) return;
+  p.pushDir = push.dir;
+  p.pushSpeed = push.speed;
+  p.pushRemaining = push.distance;
+  p.pushFrom = push.from;
+}
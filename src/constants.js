@@ -17,83 +17,88 @@ export const TICK_RATE = 60;
 export const FRAME_TIME = 1000 / TICK_RATE;
 export const HITSTUN_FRAMES = 30;
 export const BLOCKSTUN_FRAMES = 15;
+// A weapon press that can't act yet (attack recovery, stun, hitstop) is
+// held this many frames and fires on the first frame the player can.
+// Hitstop frames don't count: a press during the freeze gets the full
+// window once it's over
+export const INPUT_BUFFER_FRAMES = 4;
 export const HITSTOP_HIT = 6;
 export const HITSTOP_BLOCK = 4;
+export const HITSTOP_CLASH = 4;
+
+// === Parry ===
+// Switching into the blocking stance this few frames before a hit parries it
+export const PARRY_WINDOW_FRAMES = 4;
+export const PARRY_RECOVERY_FRAMES = 30;     // parried attacker can't act
+export const HITSTOP_PARRY = 10;
+export const PARRY_EFFECT_FRAMES = 16;
+
+// === Jumping (px/frame; multiples of 1/256 so they convert to fixed exactly) ===
+export const JUMP_VELOCITY = 8;
+export const GRAVITY = 0.5;
+export const AIR_MOVE_SPEED = 2;
+export const THRUST_BOUNCE_VELOCITY = 6;     // down-thrust pogo on contact
+
+// === Melee Attack Bands (height above the attacker's feet) ===
+// High attacks clear the low shield of a crouching defender, low attacks
+// reach the ankles. Airborne defenders are only hit where their body overlaps.
+export const HIGH_ATTACK_BAND = [28, 56];
+export const LOW_ATTACK_BAND = [0, 24];
+
+// === Match Structure ===
+export const BEST_OF_OPTIONS = [1, 3, 5];
+export const DEFAULT_BEST_OF = 3;
+export const ROUND_TIME_SECONDS = 60;
+export const ROUND_TIME_FRAMES = ROUND_TIME_SECONDS * TICK_RATE;
+export const ROUND_INTRO_FRAMES = 90;        // "ROUND N" / "FIGHT!" freeze
+export const ROUND_END_FRAMES = 120;         // pause after KO / time-out
 
 // === Projectile Heights (y-coordinates) ===
 export const HEAD_Y = GROUND_Y - PLAYER_STAND_HEIGHT + 10;   // ~266
 export const ANKLE_Y = GROUND_Y - 12;                         // ~308
 
+// === Projectile Clashes ===
+// Opposing projectiles at the same height collide within this x distance.
+// Must be at least half the fastest closing speed (knife + knife = 16 px/frame)
+// so two projectiles can't step past each other between frames.
+export const PROJECTILE_CLASH_DISTANCE = 8;
+export const CLASH_EFFECT_FRAMES = 12;       // spark shown after a clash
+
 // === Rollback Netcode ===
-export const ROLLBACK_INPUT_DELAY = 2;       // frames of local input delay
-export const ROLLBACK_MAX_FRAMES = 8;        // max rollback depth
-export const ROLLBACK_INPUT_REDUNDANCY = 4;  // past inputs sent per message
+export const ROLLBACK_INPUT_DELAY = 2;       // frames of local input delay, if no ping was measured
+export const INPUT_DELAY_AUTO_MIN = 1;       // range picked from the measured ping
+export const INPUT_DELAY_AUTO_MAX = 4;       //   (the rest of the latency is left to rollback)
+export const INPUT_DELAY_MAX = 8;            // highest delay a player can pin by hand
+export const PING_INTERVAL_MS = 250;         // RTT probes while in the ready phase
+export const RTT_SAMPLES = 20;               // recent RTT samples kept (median is used)
+export const ROLLBACK_MAX_FRAMES = 8;        // max rollback depth — we stall rather than predict further
+export const STALL_INDICATOR_FRAMES = 6;     // stalled frames before "waiting for opponent" shows
+export const ROLLBACK_INPUT_REDUNDANCY = 4;  // past inputs sent per message, at least
+export const ROLLBACK_MAX_RESEND = 48;       // most inputs per message when the peer hasn't acknowledged them
+export const TIME_SYNC_WINDOW = 30;          // frame-advantage samples averaged per decision
+export const TIME_SYNC_MIN_AHEAD = 1;        // frames ahead of the peer before we wait
+export const TIME_SYNC_MAX_WAIT = 8;         // most frames given up per decision
+export const CHECKSUM_INTERVAL = 30;         // frames between confirmed-state checksums
+export const DESYNC_DUMP_FRAMES = 120;       // input history included in a desync dump
+
+// === Online Connection ===
+export const STUN_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+];
+export const SIGNALING_PORT = 8787;          // server/signaling.mjs default port
+export const RELAY_PORT = 8788;              // server/relay.mjs default port
+export const RECONNECT_TIMEOUT_SECONDS = 30; // a dropped match is forfeited after this
+
+// === Spectating ===
+export const SPECTATOR_DELAY_FRAMES = 6;     // confirmed frames buffered before playback (absorbs jitter)
 
 // === Boomerang ===
 export const BOOMERANG_RANGE = 400;
 export const BOOMERANG_MAX = 10;
 export const BOOMERANG_ARC_AMPLITUDE = 100;
 
-// === Weapon Definitions ===
-export const WEAPON_DEFS = {
-  sword: {
-    id: 'sword',
-    name: 'Sword',
-    type: 'melee',
-    range: 35,
-    attackFrames: 24,
-    activeStart: 7,
-    activeEnd: 13,
-    damage: 1,
-    description: 'Moderate range, moderate speed.',
-  },
-  dagger: {
-    id: 'dagger',
-    name: 'Dagger',
-    type: 'melee',
-    range: 20,
-    attackFrames: 14,
-    activeStart: 4,
-    activeEnd: 8,
-    damage: 1,
-    description: 'Short range, fast attacks.',
-  },
-  spear: {
-    id: 'spear',
-    name: 'Spear',
-    type: 'melee',
-    range: 50,
-    attackFrames: 36,
-    activeStart: 12,
-    activeEnd: 20,
-    damage: 1,
-    description: 'Long range, slow attacks.',
-  },
-  boomerang: {
-    id: 'boomerang',
-    name: 'Boomerang',
-    type: 'projectile',
-    subtype: 'boomerang',
-    attackFrames: 18,
-    projectileSpawnFrame: 4,
-    damage: 1,
-    speed: 5,
-    description: '4 flight paths, 10 ammo. Recovered on catch.',
-  },
-  throwingKnife: {
-    id: 'throwingKnife',
-    name: 'Throwing Knife',
-    type: 'projectile',
-    subtype: 'knife',
-    attackFrames: 10,
-    projectileSpawnFrame: 2,
-    damage: 1,
-    speed: 8,
-    description: 'Fast, straight. Enemies can duck under.',
-  },
-};
-
-export const WEAPON_LIST = Object.keys(WEAPON_DEFS);
+// Weapon definitions live with their behavior in src/weapons/ (see the registry there).
 
 // === Default Keybinds ===
 export const DEFAULT_BINDS = [
@@ -101,6 +106,7 @@ export const DEFAULT_BINDS = [
     left: 'KeyA',
     right: 'KeyD',
     crouch: 'KeyS',
+    jump: 'KeyW',
     weapon1: 'KeyJ',
     weapon2: 'KeyK',
     weapon3: 'KeyL',
@@ -109,6 +115,7 @@ export const DEFAULT_BINDS = [
     left: 'ArrowLeft',
     right: 'ArrowRight',
     crouch: 'ArrowDown',
+    jump: 'ArrowUp',
     weapon1: 'Numpad1',
     weapon2: 'Numpad2',
     weapon3: 'Numpad3',
@@ -116,18 +123,17 @@ export const DEFAULT_BINDS = [
 ];
 
 // === Gamepad Mapping ===
-export const GAMEPAD_MAP = {
-  left: { type: 'axis', index: 0, threshold: -0.5 },
-  right: { type: 'axis', index: 0, threshold: 0.5 },
-  crouch: { type: 'axis', index: 1, threshold: 0.5 },
-  weapon1: { type: 'button', index: 0 },
-  weapon2: { type: 'button', index: 1 },
-  weapon3: { type: 'button', index: 2 },
+// Layout for controllers without a saved one (see input.js for the
+// binding types). Standard mapping: left stick and D-pad (buttons 12-15)
+// move, Y also jumps, A/B/X are the weapons.
+export const DEFAULT_GAMEPAD_BINDS = {
+  left: [{ type: 'axis', index: 0, dir: -1 }, { type: 'button', index: 14 }],
+  right: [{ type: 'axis', index: 0, dir: 1 }, { type: 'button', index: 15 }],
+  crouch: [{ type: 'axis', index: 1, dir: 1 }, { type: 'button', index: 13 }],
+  jump: [{ type: 'axis', index: 1, dir: -1 }, { type: 'button', index: 12 }, { type: 'button', index: 3 }],
+  weapon1: [{ type: 'button', index: 0 }],
+  weapon2: [{ type: 'button', index: 1 }],
+  weapon3: [{ type: 'button', index: 2 }],
 };
 
-// DPad fallbacks (buttons 12-15 on standard gamepad)
-export const GAMEPAD_DPAD = {
-  left: 14,
-  right: 15,
-  crouch: 13,
-};
+export const GAMEPAD_AXIS_THRESHOLD = 0.5; // how far a stick must be pushed to count
@@ -0,0 +1,135 @@
+/**
+ * Simulation events — a typed record of what happened each frame, for
+ * audio, VFX and stats consumers that shouldn't have to guess from state.
+ *
+ * simulateFrame clears `state.events` and the simulation appends to it:
+ *
+ *   { type, frame, player, target, weapon, x, y }
+ *
+ *   hit     player hit target (damage taken)     weapon, contact point
+ *   block   target blocked player's attack       weapon, contact point
+ *   parry   target parried player's attack       weapon, shield point
+ *   clash   two projectiles collided             weapon = 'a/b', clash point
+ *   spawn   player threw a projectile            weapon, projectile position
+ *   catch   player caught their boomerang        weapon, catch position
+ *   ko      player was knocked out               body center
+ *
+ * Unused fields are -1 / null. Positions are fixed-point screen space
+ * (see fixed.js), like projectile positions.
+ *
+ * Events are part of the state, so they roll back with it. EventReconciler
+ * turns the per-frame lists of a rollback session into streams that never
+ * repeat an event and never report one that a resimulation undid.
+ */
+
+// ─── Emitting ────────────────────────────────────────────────
+
+export function emitEvent(state, type, fields) {
+  state.events.push({
+    type,
+    frame: state.frame,
+    player: -1,
+    target: -1,
+    weapon: null,
+    x: 0,
+    y: 0,
+    ...fields,
+  });
+}
+
+/** Identity of an event — resimulating a frame to the same result yields the same key. */
+function eventKey(e) {
+  return `${e.type}|${e.player}|${e.target}|${e.weapon}|${e.x}|${e.y}`;
+}
+
+// ─── Rollback Reconciliation ─────────────────────────────────
+
+/**
+ * Feed it every simulated frame (including resimulations) with record(),
+ * and tell it how far inputs are final with confirm(). drain() then yields:
+ *
+ *   fresh      events seen for the first time — react immediately (audio, VFX)
+ *   cancelled  earlier fresh events that a rollback undid — stop/fade them
+ *   confirmed  events of frames that can no longer change, in frame order,
+ *              each exactly once — safe for stats and anything permanent
+ */
+export class EventReconciler {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.pending = new Map(); // frame → events recorded for that frame
+    this.confirmedFrame = -1;
+    this.fresh = [];
+    this.cancelled = [];
+    this.confirmed = [];
+  }
+
+  record(frame, events) {
+    if (frame <= this.confirmedFrame) return;
+
+    const previous = this.pending.get(frame);
+    if (!previous && events.length === 0) return; // nothing new, nothing to undo
+
+    // Keep our own copies — the state (and its event objects) gets
+    // overwritten in place by later frames and rollbacks
+    const copies = events.map(e => ({ ...e }));
+    this.pending.set(frame, copies);
+
+    if (!previous) {
+      for (const e of copies) this.fresh.push(e);
+      return;
+    }
+
+    // Resimulated frame: match old and new events by identity
+    const unmatched = previous.slice();
+    for (const e of copies) {
+      const key = eventKey(e);
+      const i = unmatched.findIndex(old => eventKey(old) === key);
+      if (i === -1) this.fresh.push(e);
+      else unmatched.splice(i, 1);
+    }
+    for (const old of unmatched) this.cancelled.push(old);
+  }
+
+  /** Frames up to and including `frame` are final. */
+  confirm(frame) {
+    for (let f = this.confirmedFrame + 1; f <= frame; f++) {
+      const events = this.pending.get(f);
+      if (!events) continue;
+      for (const e of events) this.confirmed.push(e);
+      this.pending.delete(f);
+    }
+    if (frame > this.confirmedFrame) this.confirmedFrame = frame;
+  }
+
+  drain() {
+    const out = { fresh: this.fresh, cancelled: this.cancelled, confirmed: this.confirmed };
+    this.fresh = [];
+    this.cancelled = [];
+    this.confirmed = [];
+    return out;
+  }
+}
+
+// ─── Stats ───────────────────────────────────────────────────
+
+export function createEventStats() {
+  return {
+    hits: [0, 0],
+    blocks: [0, 0],
+    parries: [0, 0],
+    throws: [0, 0],
+  };
+}
+
+/** Tally confirmed events into per-player counters (by the player credited). */
+export function tallyEvents(stats, events) {
+  for (const e of events) {
+    if (e.type === 'hit') stats.hits[e.player]++;
+    else if (e.type === 'block') stats.blocks[e.target]++;
+    else if (e.type === 'parry') stats.parries[e.target]++;
+    else if (e.type === 'spawn') stats.throws[e.player]++;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Fixed-point math for the simulation.
+ *
+ * All simulation positions, speeds and distances are integers in
+ * sub-pixel units (1 px = FP_ONE). Integer add/multiply/compare is exact on
+ * every CPU, and sine comes from a lookup table instead of Math.sin, so
+ * peers on different architectures compute bit-identical states.
+ * Only the renderer converts back to (fractional) pixels.
+ */
+
+export const FP_SHIFT = 8;
+export const FP_ONE = 1 << FP_SHIFT;        // 256 sub-pixels per pixel
+
+/** Pixels → fixed. Constants must be multiples of 1/FP_ONE so the result is an integer. */
+export function fx(px) {
+  return px * FP_ONE;
+}
+
+/** Fixed → pixels, for rendering only (never feed back into the simulation). */
+export function toPx(v) {
+  return v / FP_ONE;
+}
+
+/** Integer division that truncates toward zero (a and b fixed or plain ints). */
+export function idiv(a, b) {
+  return Math.trunc(a / b);
+}
+
+// ─── Lookup-Table Sine ───────────────────────────────────────
+
+export const ANGLE_FULL = 1024;              // angle units per full turn
+export const ANGLE_HALF = ANGLE_FULL / 2;    // π
+const ANGLE_QUARTER = ANGLE_FULL / 4;
+export const SIN_ONE = 4096;                 // fxSin() result for 1.0
+
+// sin(i/256 · π/2) · 4096, i = 0..256 — generated once, never computed at runtime
+const SIN_QUARTER = [
+  0, 25, 50, 75, 101, 126, 151, 176, 201, 226, 251, 276, 301, 326, 351, 376,
+  401, 426, 451, 476, 501, 526, 551, 576, 601, 626, 651, 675, 700, 725, 750, 774,
+  799, 824, 848, 873, 897, 922, 946, 971, 995, 1020, 1044, 1068, 1092, 1117, 1141, 1165,
+  1189, 1213, 1237, 1261, 1285, 1309, 1332, 1356, 1380, 1404, 1427, 1451, 1474, 1498, 1521, 1544,
+  1567, 1591, 1614, 1637, 1660, 1683, 1706, 1729, 1751, 1774, 1797, 1819, 1842, 1864, 1886, 1909,
+  1931, 1953, 1975, 1997, 2019, 2041, 2062, 2084, 2106, 2127, 2149, 2170, 2191, 2213, 2234, 2255,
+  2276, 2296, 2317, 2338, 2359, 2379, 2399, 2420, 2440, 2460, 2480, 2500, 2520, 2540, 2559, 2579,
+  2598, 2618, 2637, 2656, 2675, 2694, 2713, 2732, 2751, 2769, 2788, 2806, 2824, 2843, 2861, 2878,
+  2896, 2914, 2932, 2949, 2967, 2984, 3001, 3018, 3035, 3052, 3068, 3085, 3102, 3118, 3134, 3150,
+  3166, 3182, 3198, 3214, 3229, 3244, 3260, 3275, 3290, 3305, 3320, 3334, 3349, 3363, 3378, 3392,
+  3406, 3420, 3433, 3447, 3461, 3474, 3487, 3500, 3513, 3526, 3539, 3551, 3564, 3576, 3588, 3600,
+  3612, 3624, 3636, 3647, 3659, 3670, 3681, 3692, 3703, 3713, 3724, 3734, 3745, 3755, 3765, 3775,
+  3784, 3794, 3803, 3812, 3822, 3831, 3839, 3848, 3857, 3865, 3873, 3881, 3889, 3897, 3905, 3912,
+  3920, 3927, 3934, 3941, 3948, 3954, 3961, 3967, 3973, 3979, 3985, 3991, 3996, 4002, 4007, 4012,
+  4017, 4022, 4027, 4031, 4036, 4040, 4044, 4048, 4052, 4055, 4059, 4062, 4065, 4068, 4071, 4074,
+  4076, 4079, 4081, 4083, 4085, 4087, 4088, 4090, 4091, 4092, 4093, 4094, 4095, 4095, 4096, 4096,
+  4096,
+];
+
+/** Sine of an integer angle (ANGLE_FULL per turn), scaled by SIN_ONE. */
+export function fxSin(angle) {
+  const a = ((angle % ANGLE_FULL) + ANGLE_FULL) % ANGLE_FULL;
+  if (a <= ANGLE_QUARTER) return SIN_QUARTER[a];
+  if (a <= ANGLE_HALF) return SIN_QUARTER[ANGLE_HALF - a];
+  if (a <= ANGLE_HALF + ANGLE_QUARTER) return -SIN_QUARTER[a - ANGLE_HALF];
+  return -SIN_QUARTER[ANGLE_FULL - a];
+}
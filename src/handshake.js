@@ -0,0 +1,68 @@
+/**
+ * Hello handshake — the first message each player sends once the data
+ * channel opens, so mismatched builds fail with a clear message instead
+ * of desyncing on the first frame:
+ *
+ *   hello   { protocol, ruleset, name }
+ *
+ * `protocol` is PROTOCOL_VERSION, `ruleset` is RULESET_HASH (weapon
+ * definitions + gameplay constants) and `name` the player's display name.
+ * Play starts only once both sides have checked the other's hello. It
+ * always travels as JSON text, so a peer on another protocol version can
+ * still read it. The host sends one to each spectator too.
+ */
+import * as C from './constants.js';
+import { WEAPON_DEFS, WEAPON_LIST } from './weapons/index.js';
+import { PROTOCOL_VERSION } from './protocol.js';
+import { hashState, formatHash } from './checksum.js';
+
+export const PLAYER_NAME_MAX = 16;
+
+// Constants that are local settings rather than rules — peers may differ
+// on these. Everything else in constants.js is part of the ruleset.
+const LOCAL_SETTINGS = new Set([
+  'DEFAULT_BINDS', 'DEFAULT_GAMEPAD_BINDS', 'GAMEPAD_AXIS_THRESHOLD',
+  'STUN_SERVERS', 'SIGNALING_PORT', 'RELAY_PORT', 'RECONNECT_TIMEOUT_SECONDS',
+  'PING_INTERVAL_MS', 'RTT_SAMPLES', 'INPUT_DELAY_MAX',
+  'STALL_INDICATOR_FRAMES', 'SPECTATOR_DELAY_FRAMES',
+]);
+
+/** Hash of everything both peers must agree on to simulate the same match. */
+export const RULESET_HASH = hashState({
+  constants: Object.fromEntries(Object.entries(C).filter(([key]) => !LOCAL_SETTINGS.has(key))),
+  weapons: WEAPON_DEFS,
+});
+
+export function helloMessage(name) {
+  return { type: 'hello', protocol: PROTOCOL_VERSION, ruleset: RULESET_HASH, name: cleanName(name) };
+}
+
+/** Why we can't play with the sender of this hello, or null if we can. */
+export function checkHello(msg) {
+  if (msg.protocol !== PROTOCOL_VERSION) {
+    return `Your opponent's game speaks protocol version ${msg.protocol}, yours speaks ` +
+      `${PROTOCOL_VERSION}. Both players need the same version of the game.`;
+  }
+  if (msg.ruleset !== RULESET_HASH) {
+    return `Your opponent's game has different rules (weapon values or gameplay constants: ` +
+      `${formatHash(msg.ruleset)}, yours ${formatHash(RULESET_HASH)}). Both players need the same build.`;
+  }
+  return null;
+}
+
+/** Why a peer's weapon pick can't be used, or null if it can. */
+export function checkWeapons(weapons) {
+  if (!Array.isArray(weapons) || weapons.length !== 3) {
+    return 'Your opponent sent a malformed weapon pick.';
+  }
+  const unknown = weapons.filter(id => !WEAPON_LIST.includes(id));
+  if (unknown.length) {
+    return `Your opponent picked weapons this game doesn't have: ${unknown.join(', ')}.`;
+  }
+  return null;
+}
+
+/** Display name as sent and shown: one line, trimmed, at most PLAYER_NAME_MAX characters. */
+export function cleanName(name) {
+  return String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, PLAYER_NAME_MAX);
+}
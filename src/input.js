@@ -1,29 +1,116 @@
 /**
  * Input manager — captures keyboard and gamepad state, maps to game inputs.
- * Keybinds are per-player and rebindable at runtime.
+ * Each player reads their binds from a control profile (see profiles.js),
+ * rebindable at runtime.
+ *
+ * A profile keeps a gamepad layout per controller `id`, so an arcade stick
+ * and a pad each remember their own; a controller without one uses
+ * DEFAULT_GAMEPAD_BINDS. Each action lists any number of bindings:
+ *
+ *   { type: 'button', index }        button pressed
+ *   { type: 'axis', index, dir }     axis pushed toward dir (-1 | 1), past
+ *                                    the profile's stickThreshold
+ *   { type: 'hat', index, dir }      hat switch reported as a single axis,
+ *                                    as many arcade sticks do: 'up' |
+ *                                    'right' | 'down' | 'left'; diagonals
+ *                                    count for both neighbours
+ *
+ * Which controller drives which player is chosen per slot (assignGamepad).
  */
 import * as C from './constants.js';
 import { createEmptyInput } from './state.js';
+import { defaultProfile } from './profiles.js';
+
+// ─── Gamepad Bindings ────────────────────────────────────────
+
+// A hat axis steps through eight positions, clockwise from -1 (up) to
+// 1 (up-left); centered, it reads outside -1..1
+const HAT_POSITIONS = 8;
+const HAT_DIRS = ['up', 'right', 'down', 'left']; // positions 0, 2, 4, 6
+
+/** Hat position 0..7 for an axis value, or -1 when centered. */
+function hatPosition(value) {
+  if (!(value >= -1.05 && value <= 1.05)) return -1;
+  return Math.round((value + 1) * (HAT_POSITIONS - 1) / 2);
+}
+
+function bindingActive(pad, b, threshold) {
+  switch (b.type) {
+    case 'button':
+      return pad.buttons[b.index]?.pressed === true;
+    case 'axis': {
+      const v = pad.axes[b.index] ?? 0;
+      return b.dir < 0 ? v < -threshold : v > threshold;
+    }
+    case 'hat': {
+      const pos = hatPosition(pad.axes[b.index]);
+      if (pos < 0) return false;
+      const d = Math.abs(pos - HAT_DIRS.indexOf(b.dir) * 2);
+      return d <= 1 || d === HAT_POSITIONS - 1;
+    }
+  }
+  return false;
+}
+
+/**
+ * The first input on `pad` that differs from `rest` (its state when the
+ * capture started), as a binding, or null. A button held at the start
+ * counts once released and pressed again. An axis that read as a
+ * centered hat at the start is read as a hat, and only its straight
+ * directions bind.
+ */
+function detectGamepadInput(pad, rest) {
+  for (let i = 0; i < pad.buttons.length; i++) {
+    const pressed = pad.buttons[i].pressed;
+    if (pressed && !rest.buttons[i]) return { type: 'button', index: i };
+    rest.buttons[i] = rest.buttons[i] && pressed;
+  }
+  for (let i = 0; i < pad.axes.length; i++) {
+    const v = pad.axes[i];
+    if (hatPosition(rest.axes[i]) < 0) {
+      const pos = hatPosition(v);
+      if (pos >= 0 && pos % 2 === 0) return { type: 'hat', index: i, dir: HAT_DIRS[pos / 2] };
+    } else if (Math.abs(v) > C.GAMEPAD_AXIS_THRESHOLD &&
+               Math.abs(v - rest.axes[i]) > C.GAMEPAD_AXIS_THRESHOLD) {
+      return { type: 'axis', index: i, dir: Math.sign(v) };
+    }
+  }
+  return null;
+}
+
+function copyLayout(layout) {
+  const copy = {};
+  for (const action in layout) copy[action] = layout[action].map(b => ({ ...b }));
+  return copy;
+}
+
+// ─── Input Manager ───────────────────────────────────────────
 
 export class InputManager {
   constructor() {
-    // Per-player keybinds (keyboard code → action)
-    this.binds = [
-      { ...C.DEFAULT_BINDS[0] },
-      { ...C.DEFAULT_BINDS[1] },
-    ];
+    // Per-player control profiles: keys, gamepad layouts, options (see
+    // profiles.js). Edited in place; main.js saves them
+    this.profiles = [defaultProfile(0), defaultProfile(1)];
+    this.onProfileChange = null; // callback(playerIdx), after a rebind or option change
 
     // Raw key state (code → boolean)
     this._keys = {};
 
-    // Gamepad indices assigned to players (-1 = none)
+    // Each player's controller: 'auto' (next free one), 'none' or a gamepad index...
+    this.gamepadChoice = ['auto', 'auto'];
+    // ...and the gamepad indices that resolves to (-1 = none), see autoAssignGamepads
     this._gamepads = [-1, -1];
 
+    this.onGamepadsChange = null; // callback(), when a controller connects or disconnects
+
     this._onKeyDown = this._onKeyDown.bind(this);
     this._onKeyUp = this._onKeyUp.bind(this);
+    this._onGamepadChange = () => this.onGamepadsChange?.();
 
     window.addEventListener('keydown', this._onKeyDown);
     window.addEventListener('keyup', this._onKeyUp);
+    window.addEventListener('gamepadconnected', this._onGamepadChange);
+    window.addEventListener('gamepaddisconnected', this._onGamepadChange);
   }
 
   _onKeyDown(e) {
@@ -37,45 +124,107 @@ export class InputManager {
   }
 
   _isGameKey(code) {
-    for (const binds of this.binds) {
-      for (const action in binds) {
-        if (binds[action] === code) return true;
+    for (const profile of this.profiles) {
+      for (const action in profile.keys) {
+        if (profile.keys[action] === code) return true;
       }
     }
     return false;
   }
 
-  /** Set a keybind for a player. action: 'left'|'right'|'crouch'|'weapon1'|'weapon2'|'weapon3' */
+  /** Switch a player to another control profile. */
+  useProfile(playerIdx, profile) {
+    this.profiles[playerIdx] = profile;
+  }
+
+  /** Set a keybind for a player. action: 'left'|'right'|'crouch'|'jump'|'weapon1'|'weapon2'|'weapon3' */
   rebind(playerIdx, action, code) {
-    this.binds[playerIdx][action] = code;
+    this.profiles[playerIdx].keys[action] = code;
+    this.onProfileChange?.(playerIdx);
   }
 
   /** Get all binds for a player (for display/save). */
   getBinds(playerIdx) {
-    return { ...this.binds[playerIdx] };
+    return { ...this.profiles[playerIdx].keys };
   }
 
-  /** Assign a gamepad index to a player. */
-  assignGamepad(playerIdx, gamepadIndex) {
-    this._gamepads[playerIdx] = gamepadIndex;
+  /** Set one of a player's profile options (see profiles.js). */
+  setOption(playerIdx, key, value) {
+    this.profiles[playerIdx].options[key] = value;
+    this.onProfileChange?.(playerIdx);
   }
 
-  /** Auto-detect gamepads and assign to unassigned player slots. */
-  autoAssignGamepads() {
+  // ── Gamepad layouts ──
+
+  /** A player's layout for a controller (action → bindings): their saved one or the default. */
+  getGamepadLayout(playerIdx, id) {
+    return copyLayout(this.profiles[playerIdx].gamepads[id] || C.DEFAULT_GAMEPAD_BINDS);
+  }
+
+  /** Bind an action on one controller (by id) to a single binding. */
+  rebindGamepad(playerIdx, id, action, binding) {
+    const layout = this.getGamepadLayout(playerIdx, id);
+    layout[action] = [binding];
+    this.profiles[playerIdx].gamepads[id] = layout;
+    this.onProfileChange?.(playerIdx);
+  }
+
+  /** Back to DEFAULT_GAMEPAD_BINDS for one controller. */
+  resetGamepadLayout(playerIdx, id) {
+    const gamepads = this.profiles[playerIdx].gamepads;
+    if (!gamepads[id]) return;
+    delete gamepads[id];
+    this.onProfileChange?.(playerIdx);
+  }
+
+  // ── Gamepad assignment ──
+
+  /** Connected gamepads (browsers list one only once a button on it was pressed). */
+  connectedGamepads() {
     const pads = navigator.getGamepads ? navigator.getGamepads() : [];
-    let nextSlot = 0;
-    for (let i = 0; i < pads.length && nextSlot < 2; i++) {
-      if (pads[i] && pads[i].connected) {
-        this._gamepads[nextSlot] = i;
-        nextSlot++;
-      }
+    return Array.from(pads).filter(pad => pad && pad.connected);
+  }
+
+  /**
+   * Choose a player's controller: a gamepad index, 'auto' or 'none'. A
+   * pad taken from the other player leaves them with none.
+   */
+  assignGamepad(playerIdx, choice) {
+    const other = 1 - playerIdx;
+    if (typeof choice === 'number' && this.gamepadChoice[other] === choice) {
+      this.gamepadChoice[other] = 'none';
     }
+    this.gamepadChoice[playerIdx] = choice;
+    this.autoAssignGamepads();
+  }
+
+  /**
+   * Resolve each player's controller: chosen pads as chosen, then 'auto'
+   * players take the connected pads nobody chose, in order.
+   */
+  autoAssignGamepads() {
+    const chosen = new Set(this.gamepadChoice.filter(c => typeof c === 'number'));
+    const free = this.connectedGamepads().map(pad => pad.index).filter(i => !chosen.has(i));
+    this._gamepads = this.gamepadChoice.map(c =>
+      (typeof c === 'number' ? c : c === 'auto' ? (free.shift() ?? -1) : -1));
+  }
+
+  /** The connected gamepad driving a player, or null. */
+  gamepadFor(playerIdx) {
+    return this._pad(this._gamepads[playerIdx]);
+  }
+
+  _pad(index) {
+    if (index < 0 || !navigator.getGamepads) return null;
+    const pad = navigator.getGamepads()[index];
+    return pad && pad.connected ? pad : null;
   }
 
   /** Poll current input for a player (keyboard + gamepad merged). */
   getInput(playerIdx) {
     const input = createEmptyInput();
-    const binds = this.binds[playerIdx];
+    const profile = this.profiles[playerIdx];
+    const binds = profile.keys;
 
     // Keyboard
     for (const action in binds) {
@@ -85,38 +234,23 @@ export class InputManager {
     }
 
     // Gamepad
-    const padIdx = this._gamepads[playerIdx];
-    if (padIdx >= 0) {
-      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
-      const pad = pads[padIdx];
-      if (pad && pad.connected) {
-        this._readGamepad(pad, input);
-      }
-    }
+    const pad = this.gamepadFor(playerIdx);
+    if (pad) this._readGamepad(pad, profile, input);
 
     return input;
   }
 
-  _readGamepad(pad, input) {
-    // Left stick / axes
-    const axes = pad.axes;
-    if (axes.length >= 2) {
-      if (axes[0] < -0.5) input.left = true;
-      if (axes[0] > 0.5) input.right = true;
-      if (axes[1] > 0.5) input.crouch = true;
-    }
-
-    // DPad (buttons 12-15 on standard gamepad)
-    if (pad.buttons.length > 15) {
-      if (pad.buttons[C.GAMEPAD_DPAD.left]?.pressed) input.left = true;
-      if (pad.buttons[C.GAMEPAD_DPAD.right]?.pressed) input.right = true;
-      if (pad.buttons[C.GAMEPAD_DPAD.crouch]?.pressed) input.crouch = true;
+  _readGamepad(pad, profile, input) {
+    const layout = profile.gamepads[pad.id] || C.DEFAULT_GAMEPAD_BINDS;
+    const threshold = profile.options.stickThreshold;
+    for (const action in layout) {
+      for (const binding of layout[action]) {
+        if (bindingActive(pad, binding, threshold)) {
+          input[action] = true;
+          break;
+        }
+      }
     }
-
-    // Face buttons for weapons
-    if (pad.buttons[C.GAMEPAD_MAP.weapon1.index]?.pressed) input.weapon1 = true;
-    if (pad.buttons[C.GAMEPAD_MAP.weapon2.index]?.pressed) input.weapon2 = true;
-    if (pad.buttons[C.GAMEPAD_MAP.weapon3.index]?.pressed) input.weapon3 = true;
   }
 
   /** Wait for next key press, returns a Promise<code>. Used for rebinding UI. */
@@ -131,8 +265,51 @@ export class InputManager {
     });
   }
 
+  /**
+   * Wait for a button press, axis push or hat direction on the gamepad at
+   * `padIndex`; resolves with its binding, or null on Escape or if the
+   * controller goes away. Used for rebinding UI.
+   */
+  waitForGamepadInput(padIndex) {
+    return new Promise(resolve => {
+      let rest = null;
+      let frame = 0;
+      const finish = (binding) => {
+        cancelAnimationFrame(frame);
+        window.removeEventListener('keydown', onKey);
+        resolve(binding);
+      };
+      const onKey = (e) => {
+        if (e.code !== 'Escape') return;
+        e.preventDefault();
+        finish(null);
+      };
+      const poll = () => {
+        const pad = this._pad(padIndex);
+        if (!pad) {
+          finish(null);
+          return;
+        }
+        if (!rest) {
+          rest = { buttons: pad.buttons.map(b => b.pressed), axes: [...pad.axes] };
+        } else {
+          const binding = detectGamepadInput(pad, rest);
+          if (binding) {
+            finish(binding);
+            return;
+          }
+        }
+        frame = requestAnimationFrame(poll);
+      };
+      frame = requestAnimationFrame(poll);
+      window.addEventListener('keydown', onKey);
+    });
+  }
+
   destroy() {
     window.removeEventListener('keydown', this._onKeyDown);
     window.removeEventListener('keyup', this._onKeyUp);
+    window.removeEventListener('gamepadconnected', this._onGamepadChange);
+    window.removeEventListener('gamepaddisconnected', this._onGamepadChange);
   }
 }
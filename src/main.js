@@ -2,13 +2,20 @@
  * Entry point — wires together all modules and runs the game loop.
  */
 import * as C from './constants.js';
-import { createGameState } from './state.js';
-import { simulateFrame } from './simulation.js';
+import { cloneState, createGameState } from './state.js';
+import { stepFrame } from './simulation.js';
 import { InputManager } from './input.js';
+import { ProfileStore } from './profiles.js';
 import { render } from './renderer.js';
 import { NetworkManager } from './network.js';
 import { UIManager } from './ui.js';
-import { RollbackManager } from './rollback.js';
+import { RollbackManager, inputDelayForRtt } from './rollback.js';
+import { createEventStats, tallyEvents } from './events.js';
+import { formatHash } from './checksum.js';
+import { SpectatorFeed, SpectatorSession } from './spectator.js';
+import { SignalingClient } from './signaling.js';
+import { LoopbackLink, LocalPeers } from './netsim.js';
+import { helloMessage, checkHello, checkWeapons, cleanName } from './handshake.js';
 
 // ─── Globals ─────────────────────────────────────────────────
 
@@ -19,6 +26,29 @@ const inputManager = new InputManager();
 const networkManager = new NetworkManager();
 const ui = new UIManager();
 const rollbackManager = new RollbackManager();
+const signaling = new SignalingClient();
+
+// Saved control profiles (see profiles.js), one per player slot
+const profiles = new ProfileStore();
+inputManager.useProfile(0, profiles.forSlot(0));
+inputManager.useProfile(1, profiles.forSlot(1));
+inputManager.onProfileChange = () => profiles.save();
+
+// Debug: ?json in the URL sends readable JSON instead of binary messages
+networkManager.binary = !new URLSearchParams(location.search).has('json');
+
+// Debug: ?loopback turns local play into two online instances, host and
+// guest, talking over a simulated network in this page (see netsim.js)
+const localPeers = new URLSearchParams(location.search).has('loopback')
+  ? new LocalPeers(new LoopbackLink())
+  : null;
+let guestCtx = null;
+
+// Debug: ?synctest[=N] plays local matches through the rollback layer,
+// rolling back N frames (default ROLLBACK_MAX_FRAMES) every frame and
+// halting on any mismatch (see RollbackManager.syncTestTick)
+const syncTestParam = new URLSearchParams(location.search).get('synctest');
+const syncTestFrames = syncTestParam === null ? 0 : Number(syncTestParam) || C.ROLLBACK_MAX_FRAMES;
 
 let gameState = null;
 let isOnline = false;
@@ -34,6 +64,19 @@ let accumulator = 0;
 let lastP1Weapons = null;
 let lastP2Weapons = null;
 
+// Match format — chosen on the title screen. Online, the host's choice
+// wins: a guest plays the host's bestOf without giving up its own setting
+const matchOptions = { bestOf: C.DEFAULT_BEST_OF };
+let hostBestOf = null; // guest: the host's bestOf for this match, from 'weapons'
+
+/** Options for the next createGameState. */
+function currentMatchOptions() {
+  return isOnline && !isHost && hostBestOf ? { ...matchOptions, bestOf: hostBestOf } : matchOptions;
+}
+
+// Per-match hit/block/parry/throw counts, tallied from confirmed sim events
+let matchStats = createEventStats();
+
 // ─── Online State ────────────────────────────────────────────
 
 let localWeapons = null;   // this player's weapon picks
@@ -41,24 +84,82 @@ let remoteWeapons = null;  // peer's weapon picks
 let localReady = false;    // local player clicked "Ready!"
 let remoteReady = false;   // peer signaled ready to fight
 
+// Hello handshake (see handshake.js) — nothing starts until both builds match
+const PLAYER_NAME_KEY = 'z2clone.playerName';
+let playerName = localStorage.getItem(PLAYER_NAME_KEY) ?? '';
+let helloSent = false;
+let remoteHello = null;
+let remoteName = '';
+let incompatible = false;
+
+// What the game channel runs over ('webrtc' | 'relay', see transport.js);
+// a reconnect uses the same
+const TRANSPORT_KEY = 'z2clone.transport';
+let transport = localStorage.getItem(TRANSPORT_KEY) ?? 'webrtc';
+
+// Input delay: each player may pin one in their profile (null = auto from
+// ping); the host settles the match's delay when both are ready and sends
+// it in 'start'
+let remoteDelayPin = null;
+let matchInputDelay = C.ROLLBACK_INPUT_DELAY;
+
+// Lost connection mid-match: { deadline, channel } while paused for a reconnect
+let disconnect = null;
+
+// Spectating (see spectator.js) — the host feeds, a spectator replays
+let isSpectator = false;
+const spectatorFeed = new SpectatorFeed();
+const spectatorSession = new SpectatorSession();
+
 /** Handle all incoming messages from the remote peer. */
 function handleRemoteMessage(msg) {
   if (!msg || !msg.type) return;
 
   switch (msg.type) {
-    case 'weapons':
+    case 'hello':
+      remoteHello = msg;
+      checkHandshake();
+      break;
+
+    case 'weapons': {
+      const problem = checkWeapons(msg.weapons);
+      if (problem) {
+        showIncompatible(problem);
+        break;
+      }
       remoteWeapons = msg.weapons;
+      if (!isHost) hostBestOf = C.BEST_OF_OPTIONS.includes(msg.bestOf) ? msg.bestOf : null;
       checkWeaponsReady();
       break;
+    }
 
     case 'ready':
       remoteReady = true;
+      remoteDelayPin = typeof msg.delayPin === 'number' ? msg.delayPin : null;
       checkStartReady();
       break;
 
+    case 'start':
+      // Host settled the input delay — the guest starts with it
+      if (!isHost && localReady && lastP1Weapons && lastP2Weapons) {
+        matchInputDelay = msg.inputDelay;
+        startCombat(lastP1Weapons, lastP2Weapons);
+      }
+      break;
+
     case 'input':
       // Route to rollback manager for redundant-input handling
       rollbackManager.receiveInputs(msg);
+      // Also relays the last frames of a finished match, when we no longer tick
+      relayToSpectators();
+      break;
+
+    case 'checksum':
+      rollbackManager.receiveChecksum(msg, (m) => networkManager.sendMessage(m));
+      break;
+
+    case 'desyncDump':
+      rollbackManager.receiveDesyncDump(msg);
       break;
 
     case 'rematch':
@@ -71,9 +172,100 @@ function handleRemoteMessage(msg) {
     case 'reselect':
       goToWeaponSelect();
       break;
+
+    case 'resync':
+      // Host's snapshot after a reconnect — both sides restart rollback from
+      // it — or why the host had none to send
+      if (!isHost && running) {
+        if (msg.error) {
+          abandonMatch(msg.error);
+          break;
+        }
+        gameState = msg.state;
+        restartFromSnapshot();
+      }
+      break;
+
+    case 'spectateWeapons':
+      if (isSpectator) ui.showSpectatorLobby(msg.weapons[0], msg.weapons[1]);
+      break;
+
+    case 'spectate':
+      if (isSpectator) startSpectating(msg);
+      break;
+
+    case 'spectateInputs':
+      if (isSpectator) spectatorSession.receiveInputs(msg);
+      break;
+  }
+}
+
+// ─── Spectator Relay (host) ──────────────────────────────────
+
+/** Catch a newly connected spectator up: loadouts, and the match so far. */
+function handleSpectatorJoin(link) {
+  networkManager.sendToSpectator(link, helloMessage(playerName));
+  if (lastP1Weapons && lastP2Weapons) {
+    networkManager.sendToSpectator(link, spectatorWeaponsMessage());
+  }
+  if (gameState && showingGame) {
+    const msg = spectatorFeed.joinMessage(rollbackManager, isHost);
+    if (msg) networkManager.sendToSpectator(link, msg);
+  }
+}
+
+function spectatorWeaponsMessage() {
+  return { type: 'spectateWeapons', weapons: [lastP1Weapons, lastP2Weapons], bestOf: currentMatchOptions().bestOf };
+}
+
+/**
+ * Send spectators the inputs confirmed since the last call. The feed keeps
+ * up even with nobody watching, so a first spectator can join mid-match.
+ */
+function relayToSpectators() {
+  if (!isHost || !showingGame) return;
+  const msg = spectatorFeed.collect(rollbackManager, isHost);
+  if (msg) networkManager.sendToSpectators(msg);
+}
+
+networkManager.onSpectatorJoin = handleSpectatorJoin;
+
+// ─── Desync Reporting ────────────────────────────────────────
+
+/**
+ * Called when confirmed-state checksums differ, and again once the peer's
+ * snapshot arrives. The renderer shows the warning; with both halves in
+ * hand we save one file with both sides' states and inputs for diffing.
+ */
+function handleDesync(desync) {
+  if (!desync.remote) {
+    console.warn(`Desync at frame ${desync.frame}: ` +
+      `local ${formatHash(desync.localHash)} vs remote ${formatHash(desync.remoteHash)}`);
+    return;
   }
+
+  const host = isHost ? desync.local : desync.remote;
+  const guest = isHost ? desync.remote : desync.local;
+  const dump = {
+    frame: desync.frame,
+    hostHash: formatHash(isHost ? desync.localHash : desync.remoteHash),
+    guestHash: formatHash(isHost ? desync.remoteHash : desync.localHash),
+    savedBy: isHost ? 'host' : 'guest',
+    host,
+    guest,
+  };
+
+  const blob = new Blob([JSON.stringify(dump, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `desync-frame${desync.frame}-${dump.savedBy}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  console.warn('Desync dump saved:', dump);
 }
 
+rollbackManager.onDesync = handleDesync;
+
 /** Once both players have sent weapons, proceed to keybinds. */
 function checkWeaponsReady() {
   if (!localWeapons || !remoteWeapons) return;
@@ -87,47 +279,271 @@ function checkWeaponsReady() {
     lastP2Weapons = localWeapons;
   }
 
+  if (isHost) networkManager.sendToSpectators(spectatorWeaponsMessage());
   goToKeybinds();
 }
 
-/** Once BOTH players have signaled ready, start combat. */
+/**
+ * Host: once BOTH players have signaled ready, settle the input delay,
+ * tell the guest and start combat. The guest starts on 'start'.
+ */
 function checkStartReady() {
-  if (!localReady || !remoteReady) return;
+  if (!isHost || !localReady || !remoteReady) return;
   if (lastP1Weapons && lastP2Weapons) {
+    matchInputDelay = chooseInputDelay();
+    networkManager.sendMessage({ type: 'start', inputDelay: matchInputDelay });
     startCombat(lastP1Weapons, lastP2Weapons);
   }
 }
 
+/** The input delay our player pinned in their profile, or null for auto. */
+function localDelayPin() {
+  return inputManager.profiles[0].options.delayPin;
+}
+
+/** The larger pin if either player pinned one, else from the measured ping. */
+function chooseInputDelay() {
+  const pins = [localDelayPin(), remoteDelayPin].filter(p => p !== null);
+  if (pins.length) return Math.max(...pins);
+  const rtt = networkManager.rtt;
+  return rtt === null ? C.ROLLBACK_INPUT_DELAY : inputDelayForRtt(rtt);
+}
+
 // ─── Flow ────────────────────────────────────────────────────
 
 function goToTitle() {
+  disconnect = null;
   running = false;
   showingGame = false;
   isOnline = false;
+  isSpectator = false;
   localWeapons = null;
   remoteWeapons = null;
+  hostBestOf = null;
   localReady = false;
   remoteReady = false;
+  spectatorSession.reset();
+  ui.hideSpectatorPanel();
+  ui.hideLoopbackPanel();
+  signaling.close();
   networkManager.close();
   ui.setupTitle(
     () => goToWeaponSelect(),
-    () => goToOnlineSetup()
+    () => goToOnlineSetup(),
+    matchOptions.bestOf,
+    (bestOf) => { matchOptions.bestOf = bestOf; }
   );
 }
 
 function goToOnlineSetup() {
   running = false;
   isOnline = true;
+  helloSent = false;
+  remoteHello = null;
+  remoteName = '';
+  incompatible = false;
 
   // Wire up the message handler BEFORE connection completes
   networkManager.onRemoteInput = handleRemoteMessage;
 
-  ui.setupOnline(networkManager, (hostFlag) => {
+  ui.setupOnline(networkManager, signaling, (hostFlag, spectatorFlag) => {
     isHost = hostFlag;
-    goToWeaponSelect();
+    networkManager.onConnectionChange = handleConnectionChange;
+    if (incompatible) return; // the host's hello already ruled this out
+    if (spectatorFlag) {
+      goToSpectate();
+      return;
+    }
+    networkManager.sendMessage(helloMessage(playerName));
+    helloSent = true;
+    ui.showWaiting('Checking game versions...');
+    checkHandshake();
+  }, {
+    name: playerName,
+    onNameChange: (name) => {
+      playerName = cleanName(name);
+      localStorage.setItem(PLAYER_NAME_KEY, playerName);
+    },
+    transport,
+    onTransportChange: setTransport,
   });
 }
 
+function setTransport(t) {
+  transport = t;
+  localStorage.setItem(TRANSPORT_KEY, transport);
+}
+
+/**
+ * Once we have the peer's hello: stop with an error screen if the builds
+ * don't match, else (both hellos sent) on to weapon select. Spectators
+ * only check the host's.
+ */
+function checkHandshake() {
+  if (!remoteHello || incompatible) return;
+
+  const problem = checkHello(remoteHello);
+  if (problem) {
+    showIncompatible(problem);
+    return;
+  }
+  if (networkManager.isSpectator || !helloSent) return;
+
+  remoteName = cleanName(remoteHello.name);
+  if (isHost) ui.setupSpectatorPanel(networkManager);
+  goToWeaponSelect();
+}
+
+/** The peer can't play with us (different build, bad message) — say why and stop. */
+function showIncompatible(reason) {
+  incompatible = true;
+  running = false;
+  showingGame = false;
+  ui.hideSpectatorPanel();
+  ui.showIncompatible(reason, goToTitle);
+}
+
+/** Display names for P1 and P2 (the host is P1); "Player N" if none was given. */
+function playerNames() {
+  const local = cleanName(playerName);
+  const [p1, p2] = isHost ? [local, remoteName] : [remoteName, local];
+  return [p1 || 'Player 1', p2 || 'Player 2'];
+}
+
+function opponentName() {
+  return playerNames()[isHost ? 1 : 0];
+}
+
+// ─── Disconnects ─────────────────────────────────────────────
+
+/** Connection to the other player (or, spectating, the host) went up or down. */
+function handleConnectionChange(connected) {
+  if (connected || !running) return;
+
+  if (isSpectator) {
+    running = false;
+    ui.showWaiting('Lost connection to the host');
+    return;
+  }
+  if (!disconnect) pauseForDisconnect();
+}
+
+/**
+ * Freeze the match and open the reconnect screen in our current role. If
+ * nobody is back by the deadline, the match goes to us by forfeit (see
+ * updateDisconnect).
+ */
+function pauseForDisconnect() {
+  disconnect = {
+    deadline: performance.now() + C.RECONNECT_TIMEOUT_SECONDS * 1000,
+    channel: networkManager.channelSerial,
+  };
+  ui.setupOnline(networkManager, signaling, handleReconnected, {
+    reconnect: isHost ? 'host' : 'guest',
+    onBack: goToTitle,
+    transport,
+    onTransportChange: setTransport,
+  });
+}
+
+/** Called every frame while paused: count down, forfeit at zero. */
+function updateDisconnect(now) {
+  const left = Math.ceil((disconnect.deadline - now) / 1000);
+  if (left > 0) {
+    ui.setReconnectCountdown(left);
+    return;
+  }
+  endByForfeit(`Opponent disconnected — ${playerNames()[isHost ? 0 : 1]} wins by forfeit`);
+}
+
+/**
+ * A connection is back. If the old channel recovered by itself nothing was
+ * lost and play simply resumes. Over a new channel the host resyncs from
+ * its newest snapshot both sides agree on; the guest waits for it (see the
+ * 'resync' message).
+ */
+function handleReconnected() {
+  networkManager.onConnectionChange = handleConnectionChange;
+  if (!disconnect) return;
+
+  if (networkManager.channelSerial === disconnect.channel) {
+    disconnect = null;
+    ui.hideAll();
+    lastTime = performance.now();
+    accumulator = 0;
+    return;
+  }
+  if (!isHost) {
+    ui.showWaiting('Reconnected — resyncing...');
+    return;
+  }
+  // Final snapshots are identical on both sides, whatever was lost in flight
+  const snap = rollbackManager.finalSnapshot(rollbackManager.currentFrame);
+  if (!snap) {
+    const cause = 'Match abandoned — no saved frame to resume from after the reconnect';
+    networkManager.sendMessage({ type: 'resync', error: cause });
+    abandonMatch(cause);
+    return;
+  }
+  gameState = cloneState(snap.state);
+  networkManager.sendMessage({ type: 'resync', state: gameState });
+  restartFromSnapshot();
+}
+
+/** Resume the match from gameState with fresh rollback (and spectator) sessions. */
+function restartFromSnapshot() {
+  disconnect = null;
+  rollbackManager.reset(gameState, matchInputDelay);
+  if (isHost) {
+    spectatorFeed.reset();
+    networkManager.sendToSpectators(spectatorFeed.joinMessage(rollbackManager, isHost));
+  }
+
+  ui.hideAll();
+  lastTime = performance.now();
+  accumulator = 0;
+}
+
+/** The other player never came back — the match is ours. */
+function endByForfeit(cause) {
+  endMatchEarly(isHost ? 0 : 1, cause);
+}
+
+/** The match can't go on and nobody won it: say why. */
+function abandonMatch(cause) {
+  endMatchEarly(2, cause);
+}
+
+/** Stop the match outside the ring; the victory screen only offers the title. */
+function endMatchEarly(winner, cause) {
+  disconnect = null;
+  running = false;
+  consumeEvents(rollbackManager.events.drain());
+  ui.showVictory(winner, gameState, handlePostGame, matchStats,
+    { cause, disconnected: true, names: playerNames() });
+}
+
+/** Spectator: wait for the host to start (or be in) a match. */
+function goToSpectate() {
+  running = false;
+  isSpectator = true;
+  spectatorSession.reset();
+  ui.showWaiting('Spectating — waiting for the match to start...');
+}
+
+/** Spectator: a spectate message arrived — play from its snapshot. */
+function startSpectating(msg) {
+  ui.hideAll();
+  spectatorSession.start(msg);
+  gameState = spectatorSession.state;
+  matchStats = createEventStats();
+
+  running = true;
+  showingGame = true;
+  lastTime = performance.now();
+  accumulator = 0;
+}
+
 function goToWeaponSelect() {
   running = false;
 
@@ -136,11 +552,13 @@ function goToWeaponSelect() {
     localWeapons = null;
     remoteWeapons = null;
 
-    ui.setupWeaponSelectOnline((weapons) => {
+    ui.setupWeaponSelectOnline(opponentName(), (weapons) => {
       localWeapons = weapons;
-      networkManager.sendMessage({ type: 'weapons', weapons });
+      const msg = { type: 'weapons', weapons };
+      if (isHost) msg.bestOf = matchOptions.bestOf;
+      networkManager.sendMessage(msg);
       // Show waiting state until peer's weapons arrive
-      ui.showWaiting('Waiting for opponent to pick weapons...');
+      ui.showWaiting(`Waiting for ${opponentName()} to pick weapons...`);
       checkWeaponsReady();
     });
   } else {
@@ -158,18 +576,18 @@ function goToKeybinds() {
   remoteReady = false;
 
   if (isOnline) {
-    // Online: only bind the local player's keys (always slot 0)
-    ui.setupKeybindsOnline(inputManager, () => {
+    // Online: only bind the local player's keys (always slot 0). Ping
+    // meanwhile, so the input delay can be picked from the round-trip time.
+    networkManager.onRtt = (rtt) => ui.updatePing(rtt, inputDelayForRtt(rtt));
+    networkManager.startPinging();
+    ui.setupKeybindsOnline(inputManager, profiles, () => {
       localReady = true;
-      networkManager.sendMessage({ type: 'ready' });
-      if (remoteReady) {
-        startCombat(lastP1Weapons, lastP2Weapons);
-      } else {
-        ui.showWaiting('Waiting for opponent...');
-      }
+      networkManager.sendMessage({ type: 'ready', delayPin: localDelayPin() });
+      ui.showWaiting(remoteReady ? 'Starting...' : `Waiting for ${opponentName()}...`);
+      checkStartReady();
     });
   } else {
-    ui.setupKeybinds(inputManager, () => {
+    ui.setupKeybinds(inputManager, profiles, () => {
       startCombat(lastP1Weapons, lastP2Weapons);
     });
   }
@@ -177,12 +595,30 @@ function goToKeybinds() {
 
 function startCombat(p1Weapons, p2Weapons) {
   ui.hideAll();
-  gameState = createGameState(p1Weapons, p2Weapons);
+  gameState = createGameState(p1Weapons, p2Weapons, currentMatchOptions());
+  matchStats = createEventStats();
   inputManager.autoAssignGamepads();
 
   // Initialize rollback manager for online play
   if (isOnline) {
-    rollbackManager.reset(gameState);
+    networkManager.stopPinging();
+    rollbackManager.reset(gameState, matchInputDelay);
+  }
+
+  if (syncTestFrames && !isOnline) {
+    rollbackManager.startSyncTest(gameState, syncTestFrames);
+  }
+
+  if (localPeers && !isOnline) {
+    localPeers.start(p1Weapons, p2Weapons, currentMatchOptions());
+    gameState = localPeers.peers[0].state;
+    guestCtx = ui.setupLoopbackPanel(localPeers.link.conditions);
+  }
+
+  // Start the spectators off at frame 0
+  if (isOnline && isHost) {
+    spectatorFeed.reset();
+    networkManager.sendToSpectators(spectatorFeed.joinMessage(rollbackManager, isHost));
   }
 
   running = true;
@@ -201,6 +637,8 @@ function handlePostGame(choice) {
   } else if (choice === 'reselect') {
     if (isOnline) networkManager.sendMessage({ type: 'reselect' });
     goToWeaponSelect();
+  } else if (choice === 'spectate') {
+    goToSpectate();
   } else {
     goToTitle();
   }
@@ -211,15 +649,41 @@ function handlePostGame(choice) {
 function gameLoop(timestamp) {
   requestAnimationFrame(gameLoop);
 
-  if (running && gameState) {
+  if (disconnect) {
+    updateDisconnect(timestamp);
+  } else if (running && gameState) {
     const dt = Math.min(timestamp - lastTime, 100);
     lastTime = timestamp;
     accumulator += dt;
 
     // Fixed-timestep simulation
     while (accumulator >= C.FRAME_TIME) {
-      if (isOnline) {
-        if (!tickOnline()) break;
+      // Time sync — we're running ahead of the peer, sit this frame out
+      if (isOnline && rollbackManager.shouldWait()) {
+        accumulator -= C.FRAME_TIME;
+        continue;
+      }
+
+      if (isSpectator) {
+        if (!tickSpectator()) {
+          accumulator = Math.min(accumulator, C.FRAME_TIME);
+          break;
+        }
+        // Playback fell behind the feed — take an extra step to catch up
+        if (spectatorSession.lagging && gameState.winner === -1) tickSpectator();
+      } else if (isOnline) {
+        if (!tickOnline()) {
+          // Stalled — drop the backlog so we don't burst-simulate on resume
+          accumulator = Math.min(accumulator, C.FRAME_TIME);
+          break;
+        }
+      } else if (localPeers) {
+        tickLoopback();
+      } else if (syncTestFrames) {
+        if (!tickSyncTest()) {
+          running = false; // halted on a mismatch — the diff stays on screen
+          break;
+        }
       } else {
         tickLocal();
       }
@@ -228,9 +692,9 @@ function gameLoop(timestamp) {
       if (gameState.winner !== -1) {
         running = false;
         // Send extra inputs so peer can finish
-        if (isOnline) {
+        if (isOnline && !isSpectator) {
           const lastInput = inputManager.getInput(0);
-          const sendFrame = rollbackManager.currentFrame + C.ROLLBACK_INPUT_DELAY;
+          const sendFrame = rollbackManager.currentFrame + rollbackManager.inputDelay;
           for (let f = 0; f < 10; f++) {
             networkManager.sendMessage({
               type: 'input',
@@ -240,7 +704,9 @@ function gameLoop(timestamp) {
           }
         }
         setTimeout(() => {
-          ui.showVictory(gameState.winner, handlePostGame);
+          if (isOnline && !isSpectator) consumeEvents(rollbackManager.events.drain());
+          ui.showVictory(gameState.winner, gameState, handlePostGame, matchStats,
+            { spectating: isSpectator, names: isOnline && !isSpectator ? playerNames() : null });
         }, 1500);
         break;
       }
@@ -249,7 +715,15 @@ function gameLoop(timestamp) {
 
   // Keep rendering the game state (including victory overlay) even after running stops
   if (showingGame && gameState) {
-    render(ctx, gameState, isOnline ? rollbackManager : null);
+    if (localPeers && !isOnline) {
+      const [host, guest] = localPeers.peers;
+      render(ctx, gameState, host.rollback);
+      render(guestCtx, guest.state, guest.rollback);
+      ui.updateLoopbackStats(localPeers.report());
+    } else {
+      render(ctx, gameState, (isOnline && !isSpectator) || syncTestFrames ? rollbackManager : null,
+        isSpectator ? spectatorSession : null);
+    }
   }
 }
 
@@ -257,12 +731,16 @@ function gameLoop(timestamp) {
 function tickLocal() {
   const p1Input = inputManager.getInput(0);
   const p2Input = inputManager.getInput(1);
-  gameState = simulateFrame(gameState, p1Input, p2Input);
+  stepFrame(gameState, p1Input, p2Input);
+
+  // No rollback locally — every event is final as soon as it happens
+  consumeEvents({ fresh: gameState.events, cancelled: [], confirmed: gameState.events });
 }
 
 /**
  * Online play: rollback netcode — predict remote input if missing,
- * rollback and resimulate on misprediction. Never stalls.
+ * rollback and resimulate on misprediction. Stalls (returns false) when
+ * the peer's input is ROLLBACK_MAX_FRAMES behind.
  */
 function tickOnline() {
   const localInput = inputManager.getInput(0);
@@ -275,13 +753,61 @@ function tickOnline() {
   );
 
   if (result === null) {
-    return false; // still in input-delay startup
+    return false; // waiting for the peer (see rollbackManager.waiting)
   }
 
   gameState = result;
+  consumeEvents(rollbackManager.events.drain());
+  relayToSpectators();
+  return true;
+}
+
+/** Spectating: replay the host's confirmed inputs, a few frames behind. */
+function tickSpectator() {
+  const result = spectatorSession.tick();
+  if (result === null) return false; // buffering
+
+  // Inputs are final — every event is confirmed as soon as it happens
+  consumeEvents({ fresh: result.events, cancelled: [], confirmed: result.events });
   return true;
 }
 
+/** Loopback debug mode: tick the host and guest instances over the simulated link. */
+function tickLoopback() {
+  localPeers.link.pump();
+  for (let i = 0; i < 2; i++) {
+    localPeers.tick(i, inputManager.getInput(i));
+  }
+
+  // The host's view is the game; the guest's only shows under the canvas
+  const [host, guest] = localPeers.peers;
+  gameState = host.state;
+  consumeEvents(host.rollback.events.drain());
+  guest.rollback.events.drain();
+}
+
+/** SyncTest debug mode: local play, rolled back and resimulated every frame. */
+function tickSyncTest() {
+  const result = rollbackManager.syncTestTick(gameState, inputManager.getInput(0), inputManager.getInput(1));
+  if (result === null) {
+    const err = rollbackManager.syncError;
+    console.error(`SyncTest mismatch at frame ${err.frame}: ${err.what} ` +
+      `${formatHash(err.expectedHash)} → ${formatHash(err.actualHash)}\n  ${err.diff.join('\n  ')}`);
+    return false;
+  }
+  gameState = result;
+  consumeEvents(rollbackManager.events.drain());
+  return true;
+}
+
+/**
+ * Simulation event hook (see events.js). `fresh`/`cancelled` are for
+ * instant feedback such as sound; `confirmed` feeds anything permanent.
+ */
+function consumeEvents({ confirmed }) {
+  tallyEvents(matchStats, confirmed);
+}
+
 // ─── Restart via Enter key during victory ────────────────────
 
 window.addEventListener('keydown', (e) => {
@@ -0,0 +1,192 @@
+/**
+ * Network condition simulator — an in-process stand-in for the data
+ * channel, so rollback can be exercised without two browsers.
+ *
+ * A LoopbackLink joins two transport endpoints (`link.ends`). Each
+ * message is delayed by `latency` ± `jitter` ms and dropped with
+ * probability `loss`. With probability `reorder` it is held back an extra
+ * `latency` (at least a frame) so later messages overtake it; otherwise
+ * delivery keeps send order, like the ordered data channel. Randomness is
+ * seeded, so a run repeats exactly. Messages are deep-copied on send, so
+ * the two sides never share an object.
+ *
+ * Nothing happens on its own: pump() delivers whatever is due. Time comes
+ * from the `clock` option (performance.now() by default), so a headless
+ * run can drive it.
+ *
+ * LocalPeers runs a host and a guest RollbackManager over a link — the
+ * "two local instances" debug mode (?loopback) and tools/netsim.mjs.
+ */
+import * as C from './constants.js';
+import { createGameState } from './state.js';
+import { RollbackManager } from './rollback.js';
+
+export const DEFAULT_CONDITIONS = {
+  latency: 50,  // one-way, ms
+  jitter: 10,   // ± ms
+  loss: 0,      // 0..1
+  reorder: 0,   // 0..1
+};
+
+// ─── Link ────────────────────────────────────────────────────
+
+export class LoopbackLink {
+  constructor(conditions = {}, { seed = 1, clock = () => performance.now() } = {}) {
+    this.conditions = { ...DEFAULT_CONDITIONS, ...conditions };
+    this.clock = clock;
+    this.seed = seed;
+    this.stats = { sent: 0, delivered: 0, dropped: 0, reordered: 0 };
+    this.ends = [new LoopbackTransport(this, 0), new LoopbackTransport(this, 1)];
+
+    this._queues = [[], []];  // per receiving end: { at, msg }, by delivery time
+    this._inOrderAt = [0, 0]; // per receiving end: delivery time of the last in-order message
+  }
+
+  /** Deliver every message that is due by `now`. */
+  pump(now = this.clock()) {
+    for (let to = 0; to < 2; to++) {
+      const queue = this._queues[to];
+      while (queue.length && queue[0].at <= now) {
+        const { msg } = queue.shift();
+        this.stats.delivered++;
+        this.ends[to].onMessage?.(msg);
+      }
+    }
+  }
+
+  /** Messages sent but not yet delivered or dropped. */
+  get inFlight() {
+    return this._queues[0].length + this._queues[1].length;
+  }
+
+  close() {
+    this._queues = [[], []];
+    for (const end of this.ends) {
+      if (!end.connected) continue;
+      end.connected = false;
+      end.onState?.(false);
+    }
+  }
+
+  _send(from, msg) {
+    const c = this.conditions;
+    const to = 1 - from;
+    const now = this.clock();
+    this.stats.sent++;
+
+    if (this._random() < c.loss) {
+      this.stats.dropped++;
+      return;
+    }
+
+    let at = now + Math.max(0, c.latency + (this._random() * 2 - 1) * c.jitter);
+    if (this._random() < c.reorder) {
+      at += Math.max(c.latency, C.FRAME_TIME);
+      this.stats.reordered++;
+    } else {
+      at = Math.max(at, this._inOrderAt[to]);
+      this._inOrderAt[to] = at;
+    }
+
+    // Insert after everything due at or before `at`, keeping ties in send order
+    const queue = this._queues[to];
+    let i = queue.length;
+    while (i > 0 && queue[i - 1].at > at) i--;
+    queue.splice(i, 0, { at, msg: structuredClone(msg) });
+  }
+
+  _random() {
+    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+    return this.seed / 0x7fffffff;
+  }
+}
+
+/** One end of a LoopbackLink — send(msg), onMessage, onState, close(). */
+class LoopbackTransport {
+  constructor(link, side) {
+    this.link = link;
+    this.side = side;
+    this.connected = true;
+
+    /** (msg) => void */
+    this.onMessage = null;
+    /** (connected) => void */
+    this.onState = null;
+  }
+
+  send(msg) {
+    if (this.connected) this.link._send(this.side, msg);
+  }
+
+  close() {
+    this.link.close();
+  }
+}
+
+// ─── Two Local Instances ─────────────────────────────────────
+
+export class LocalPeers {
+  constructor(link) {
+    this.link = link;
+    this.peers = link.ends.map((transport, i) => {
+      const peer = { isHost: i === 0, rollback: new RollbackManager(), state: null, transport };
+      transport.onMessage = (msg) => this._receive(peer, msg);
+      return peer;
+    });
+  }
+
+  /** New match on both instances, each with its own state. */
+  start(p1Weapons, p2Weapons, options, inputDelay = C.ROLLBACK_INPUT_DELAY) {
+    for (const peer of this.peers) {
+      peer.state = createGameState(p1Weapons, p2Weapons, options);
+      peer.rollback.reset(peer.state, inputDelay);
+    }
+  }
+
+  /**
+   * One frame slot for peer i (0 = host, 1 = guest) with its local input,
+   * the same way the online game loop drives its RollbackManager: sit
+   * out for time sync, else tick. Returns the stepped state, or null.
+   */
+  tick(i, rawInput) {
+    const peer = this.peers[i];
+    if (peer.rollback.shouldWait()) return null;
+    const result = peer.rollback.tick(peer.state, rawInput, peer.isHost, (m) => peer.transport.send(m));
+    if (result) peer.state = result;
+    return result;
+  }
+
+  /** The first desync either side detected, or null. */
+  get desync() {
+    return this.peers.find(p => p.rollback.desync)?.rollback.desync ?? null;
+  }
+
+  /** Human-readable stats: one line per instance, one for the link. */
+  report() {
+    const lines = this.peers.map(({ isHost, rollback: rb }) => {
+      const s = rb.stats;
+      return `${isHost ? 'host ' : 'guest'}  frame ${rb.currentFrame}  ` +
+        `rollbacks ${s.rollbacks} (max ${s.maxDepth})  waits ${s.waits}  stalls ${s.stalls}  ` +
+        (rb.desync ? `DESYNC at frame ${rb.desync.frame}` : `in sync (${s.checks} checksums)`);
+    });
+    const l = this.link.stats;
+    lines.push(`link   sent ${l.sent}  delivered ${l.delivered}  dropped ${l.dropped}  ` +
+      `reordered ${l.reordered}  in flight ${this.link.inFlight}`);
+    return lines;
+  }
+
+  _receive(peer, msg) {
+    const rb = peer.rollback;
+    switch (msg.type) {
+      case 'input':
+        rb.receiveInputs(msg);
+        break;
+      case 'checksum':
+        rb.receiveChecksum(msg, (m) => peer.transport.send(m));
+        break;
+      case 'desyncDump':
+        rb.receiveDesyncDump(msg);
+        break;
+    }
+  }
+}
@@ -1,59 +1,201 @@
 /**
- * WebRTC peer connection manager.
- * Uses manual offer/answer exchange (copy-paste) for signaling.
- * Data channel transports serialized input frames.
+ * Connection to the other player.
+ *
+ * The game channel runs over a transport (see transport.js): normally a
+ * WebRTC data channel, whose signaling goes through a room-code server
+ * (connectWithSignaling, see signaling.js) or, as a fallback, a manual
+ * offer/answer exchange (copy-paste). Where WebRTC can't connect, a
+ * WebSocket relay carries it instead (hostRelay / joinRelay). Messages
+ * travel binary (see protocol.js), or as JSON text with `binary` off for
+ * debugging. Either side decodes both, so the two modes interoperate.
  *
  * This module provides the transport layer. The GGPO-style rollback
  * layer in rollback.js sits between this and the game loop.
+ *
+ * The host can also accept spectators: each is a separate peer connection
+ * whose data channel is labelled 'spectate' (that's how the joining side
+ * knows it is watching, not playing). Spectator links are send-only — see
+ * spectator.js for what travels over them.
  */
+import * as C from './constants.js';
+import { ProtocolEncoder, ProtocolDecoder } from './protocol.js';
+import { DataChannelTransport, RelayTransport } from './transport.js';
 
 export class NetworkManager {
   constructor() {
-    this.pc = null;
-    this.dataChannel = null;
+    this.pc = null;        // WebRTC only
+    this.transport = null; // the game channel
     this.isHost = false;
+    this.isSpectator = false;
     this.connected = false;
+    this.channelSerial = 0; // bumped per transport — tells a reconnect from a recovery
+
+    // STUN servers for ICE; empty = LAN only (host candidates, works offline)
+    this.iceServers = C.STUN_SERVERS;
+
+    // Wire format: binary messages, or JSON text (debug mode — readable in devtools)
+    this.binary = true;
+    this._encoder = new ProtocolEncoder();
+    this._decoder = new ProtocolDecoder();
+
+    // Round-trip time probes (see startPinging)
+    this.rttSamples = [];
+    this._pings = new Map(); // id → send time
+    this._pingId = 0;
+    this._pingTimer = null;
+
+    // Host only: spectator links { pc, dataChannel }, and one awaiting its answer
+    this.spectators = [];
+    this._pendingSpectator = null;
 
     /** Called when remote input is received: (inputObj) => void */
     this.onRemoteInput = null;
     /** Called when connection state changes: (connected: boolean) => void */
     this.onConnectionChange = null;
+    /** A pong arrived: (rttMs) => void, with the current median */
+    this.onRtt = null;
+    /** Host: a spectator's channel opened: (link) => void — send it the snapshot */
+    this.onSpectatorJoin = null;
+    /** Host: the number of connected spectators changed: (count) => void */
+    this.onSpectatorCountChange = null;
   }
 
+  _newPeerConnection() {
+    return new RTCPeerConnection({ iceServers: this.iceServers });
+  }
+
+  /** Replaces any previous connection — handlers of the old one go quiet. */
   _createPeerConnection() {
-    const config = {
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-      ],
+    this.closePeer();
+    const pc = this._newPeerConnection();
+    this.pc = pc;
+
+    // Connected means ICE is up and the data channel is open
+    pc.oniceconnectionstatechange = () => {
+      if (this.pc !== pc) return;
+      const s = pc.iceConnectionState;
+      this._setConnected((s === 'connected' || s === 'completed') &&
+        this.transport?.connected === true);
     };
-    this.pc = new RTCPeerConnection(config);
+  }
+
+  _setConnected(connected) {
+    if (connected === this.connected) return;
+    this.connected = connected;
+    this.onConnectionChange?.(connected);
+  }
 
-    this.pc.oniceconnectionstatechange = () => {
-      const s = this.pc.iceConnectionState;
-      this.connected = (s === 'connected' || s === 'completed');
-      this.onConnectionChange?.(this.connected);
+  /** Run the game channel over `transport` from now on; the previous one goes quiet. */
+  _useTransport(transport) {
+    this.transport = transport;
+    this.channelSerial++;
+    // Frame numbers are delta-encoded per channel — a new channel starts over
+    this._encoder = new ProtocolEncoder();
+    this._decoder = new ProtocolDecoder();
+    transport.onState = (connected) => {
+      if (this.transport === transport) this._setConnected(connected);
+    };
+    transport.onMessage = (data) => {
+      if (this.transport !== transport) return;
+      let msg;
+      try {
+        msg = typeof data === 'string' ? JSON.parse(data) : this._decoder.decode(data);
+      } catch (err) {
+        console.warn('Dropped malformed message:', err.message);
+        return;
+      }
+      if (msg.type === 'ping' || msg.type === 'pong') this._handlePing(msg);
+      else this.onRemoteInput?.(msg);
     };
   }
 
   _setupDataChannel(dc) {
-    this.dataChannel = dc;
-    dc.onopen = () => {
-      this.connected = true;
-      this.onConnectionChange?.(true);
-    };
-    dc.onclose = () => {
-      this.connected = false;
-      this.onConnectionChange?.(false);
+    this._useTransport(new DataChannelTransport(dc));
+  }
+
+  /** Guest side: the host's channel arrived — its label says whether we play or watch. */
+  _onDataChannel(e) {
+    this.isSpectator = e.channel.label === 'spectate';
+    this._setupDataChannel(e.channel);
+    if (e.channel.readyState === 'open') this._setConnected(true);
+  }
+
+  // ─── WebSocket Relay ─────────────────────────────────────
+
+  /**
+   * Host: open a room on a relay server (server/relay.mjs) instead of
+   * connecting peer-to-peer. Resolves with the room code; connects once
+   * the guest joins it.
+   */
+  hostRelay(url) {
+    this.closePeer();
+    this.isHost = true;
+    const transport = new RelayTransport();
+    this._useTransport(transport);
+    return transport.host(url);
+  }
+
+  /** Guest: join a relay room by code. Resolves once connected. */
+  joinRelay(url, code) {
+    this.closePeer();
+    this.isHost = false;
+    const transport = new RelayTransport();
+    this._useTransport(transport);
+    return transport.join(url, code);
+  }
+
+  // ─── Room-Code Signaling ─────────────────────────────────
+
+  /**
+   * Connect through a joined signaling room (see signaling.js). The
+   * description and ICE candidates trickle through the server as they
+   * come, so nothing waits for ICE gathering — on a LAN with no STUN the
+   * host candidates alone connect right away. The host calls this once
+   * the guest is in the room; the guest right after joining.
+   *
+   * Rejects if the offer can't be made; onError(err) is called if a
+   * description or candidate from the peer later can't be applied.
+   */
+  async connectWithSignaling(signaling, isHost, onError) {
+    this._createPeerConnection();
+    this.isHost = isHost;
+
+    const pc = this.pc;
+    const early = []; // candidates that beat the remote description here
+    pc.onicecandidate = (e) => {
+      if (e.candidate) signaling.send({ candidate: e.candidate.toJSON() });
     };
-    dc.onmessage = (e) => {
+
+    signaling.onSignal = async (data) => {
+      if (this.pc !== pc) return; // stale — closed or reconnected since
       try {
-        const msg = JSON.parse(e.data);
-        this.onRemoteInput?.(msg);
-      } catch { /* ignore malformed */ }
+        if (data.description) {
+          await pc.setRemoteDescription(data.description);
+          for (const candidate of early.splice(0)) await pc.addIceCandidate(candidate);
+          if (data.description.type === 'offer') {
+            await pc.setLocalDescription(await pc.createAnswer());
+            signaling.send({ description: pc.localDescription.toJSON() });
+          }
+        } else if (data.candidate) {
+          if (pc.remoteDescription) await pc.addIceCandidate(data.candidate);
+          else early.push(data.candidate);
+        }
+      } catch (err) {
+        if (this.pc === pc) onError?.(new Error(`Connection setup failed: ${err.message}`));
+      }
     };
+
+    if (isHost) {
+      this._setupDataChannel(pc.createDataChannel('game', { ordered: true }));
+      await pc.setLocalDescription(await pc.createOffer());
+      signaling.send({ description: pc.localDescription.toJSON() });
+    } else {
+      pc.ondatachannel = (e) => this._onDataChannel(e);
+    }
   }
 
+  // ─── Manual Signaling (copy-paste) ───────────────────────
+
   /**
    * Host: create an offer string to share with the guest.
    * Returns a base64-encoded SDP offer.
@@ -69,7 +211,7 @@ export class NetworkManager {
     await this.pc.setLocalDescription(offer);
 
     // Wait for ICE gathering to complete
-    await this._waitForIce();
+    await this._waitForIce(this.pc);
 
     return btoa(JSON.stringify(this.pc.localDescription));
   }
@@ -81,9 +223,7 @@ export class NetworkManager {
     this._createPeerConnection();
     this.isHost = false;
 
-    this.pc.ondatachannel = (e) => {
-      this._setupDataChannel(e.channel);
-    };
+    this.pc.ondatachannel = (e) => this._onDataChannel(e);
 
     const offer = JSON.parse(atob(offerB64));
     await this.pc.setRemoteDescription(offer);
@@ -91,7 +231,7 @@ export class NetworkManager {
     const answer = await this.pc.createAnswer();
     await this.pc.setLocalDescription(answer);
 
-    await this._waitForIce();
+    await this._waitForIce(this.pc);
 
     return btoa(JSON.stringify(this.pc.localDescription));
   }
@@ -104,41 +244,154 @@ export class NetworkManager {
     await this.pc.setRemoteDescription(answer);
   }
 
-  /** Send a serialized input frame to the remote peer. */
-  sendInput(frameNumber, input) {
-    if (this.dataChannel?.readyState === 'open') {
-      this.dataChannel.send(JSON.stringify({ frame: frameNumber, input }));
+  // ─── Spectators (host) ───────────────────────────────────
+
+  /**
+   * Host: create an offer string for a spectator. They join with it like a
+   * guest would (acceptOffer); their answer goes to acceptSpectatorAnswer.
+   */
+  async createSpectatorOffer() {
+    this._pendingSpectator?.pc.close();
+    const link = { pc: this._newPeerConnection(), dataChannel: null, encoder: new ProtocolEncoder() };
+    this._pendingSpectator = link;
+
+    const dc = link.pc.createDataChannel('spectate', { ordered: true });
+    link.dataChannel = dc;
+    dc.onopen = () => {
+      this.spectators.push(link);
+      this.onSpectatorCountChange?.(this.spectators.length);
+      this.onSpectatorJoin?.(link);
+    };
+    dc.onclose = () => this._dropSpectator(link);
+
+    const offer = await link.pc.createOffer();
+    await link.pc.setLocalDescription(offer);
+    await this._waitForIce(link.pc);
+
+    return btoa(JSON.stringify(link.pc.localDescription));
+  }
+
+  /** Host: accept a spectator's answer to the latest spectator offer. */
+  async acceptSpectatorAnswer(answerB64) {
+    const link = this._pendingSpectator;
+    if (!link) throw new Error('Create a spectator offer first');
+    // A bad paste leaves the offer pending, so the right answer still works
+    await link.pc.setRemoteDescription(JSON.parse(atob(answerB64)));
+    this._pendingSpectator = null;
+  }
+
+  /** Host: send a message to every connected spectator. */
+  sendToSpectators(msg) {
+    for (const link of this.spectators) this.sendToSpectator(link, msg);
+  }
+
+  /** Host: send a message to one spectator link (each has its own encoder state). */
+  sendToSpectator(link, msg) {
+    if (link.dataChannel.readyState === 'open') {
+      link.dataChannel.send(this._encode(link.encoder, msg));
     }
   }
 
+  _dropSpectator(link) {
+    const i = this.spectators.indexOf(link);
+    if (i === -1) return;
+    this.spectators.splice(i, 1);
+    link.pc.close();
+    this.onSpectatorCountChange?.(this.spectators.length);
+  }
+
+  // ─── Round-Trip Time ─────────────────────────────────────
+
+  /** Probe the RTT every PING_INTERVAL_MS until stopPinging(); starts a fresh sample set. */
+  startPinging() {
+    this.stopPinging();
+    this.rttSamples = [];
+    this._pings.clear();
+    this._pingTimer = setInterval(() => this._ping(), C.PING_INTERVAL_MS);
+    this._ping();
+  }
+
+  stopPinging() {
+    clearInterval(this._pingTimer);
+    this._pingTimer = null;
+  }
+
+  /** Median of the recent RTT samples in ms, or null before the first pong. */
+  get rtt() {
+    if (this.rttSamples.length === 0) return null;
+    const sorted = this.rttSamples.slice().sort((a, b) => a - b);
+    return sorted[sorted.length >> 1];
+  }
+
+  _ping() {
+    const id = ++this._pingId;
+    this._pings.set(id, performance.now());
+    this.sendMessage({ type: 'ping', id });
+  }
+
+  /** Pings are answered here, below the game — they never reach onRemoteInput. */
+  _handlePing(msg) {
+    if (msg.type === 'ping') {
+      this.sendMessage({ type: 'pong', id: msg.id });
+      return;
+    }
+    const sent = this._pings.get(msg.id);
+    if (sent === undefined) return;
+    this._pings.delete(msg.id);
+    this.rttSamples.push(performance.now() - sent);
+    if (this.rttSamples.length > C.RTT_SAMPLES) this.rttSamples.shift();
+    this.onRtt?.(this.rtt);
+  }
+
+  // ─── Messages ────────────────────────────────────────────
+
   /** Send arbitrary message (for weapon selection sync, etc.) */
   sendMessage(msg) {
-    if (this.dataChannel?.readyState === 'open') {
-      this.dataChannel.send(JSON.stringify(msg));
+    if (this.transport?.connected) {
+      this.transport.send(this._encode(this._encoder, msg));
     }
   }
 
+  /** Binary unless in JSON mode — but hello is always JSON, so any protocol version can read it. */
+  _encode(encoder, msg) {
+    return this.binary && msg.type !== 'hello' ? encoder.encode(msg) : JSON.stringify(msg);
+  }
+
+  /** Close everything, spectator links included. */
   close() {
-    this.dataChannel?.close();
-    this.pc?.close();
+    for (const link of this.spectators) link.pc.close();
+    this._pendingSpectator?.pc.close();
+    this.spectators = [];
+    this._pendingSpectator = null;
+    this.closePeer();
+    this.isSpectator = false;
+  }
+
+  /** Close just the connection to the other player (e.g. before reconnecting). */
+  closePeer() {
+    this.stopPinging();
+    const transport = this.transport;
+    const pc = this.pc;
+    this.transport = null;
     this.pc = null;
-    this.dataChannel = null;
     this.connected = false;
+    transport?.close();
+    pc?.close();
   }
 
-  _waitForIce() {
+  _waitForIce(pc) {
     return new Promise((resolve) => {
-      if (this.pc.iceGatheringState === 'complete') {
+      if (pc.iceGatheringState === 'complete') {
         resolve();
         return;
       }
       const check = () => {
-        if (this.pc.iceGatheringState === 'complete') {
-          this.pc.removeEventListener('icegatheringstatechange', check);
+        if (pc.iceGatheringState === 'complete') {
+          pc.removeEventListener('icegatheringstatechange', check);
           resolve();
         }
       };
-      this.pc.addEventListener('icegatheringstatechange', check);
+      pc.addEventListener('icegatheringstatechange', check);
       // Fallback timeout — some browsers stall on gathering
       setTimeout(resolve, 5000);
     });
@@ -0,0 +1,244 @@
+/**
+ * Control profiles — named sets of keyboard binds, gamepad layouts and
+ * options, saved in localStorage so nobody has to re-bind every session.
+ * Each player slot uses one, picked on the keybind screen; InputManager
+ * edits the slot's profile in place and the store saves it.
+ *
+ *   { name,
+ *     keys:     { action: key code },
+ *     gamepads: { controller id: { action: [binding...] } }   (see input.js)
+ *     options:  { delayPin,          online input delay pin, null = auto
+ *                 stickThreshold } }  how far a stick must be pushed, 0..1
+ *
+ * Profiles travel between machines as JSON files (exportJson/importJson).
+ * Anything read back, from storage or a file, goes through cleanProfile.
+ */
+import * as C from './constants.js';
+
+export const PROFILE_NAME_MAX = 24;
+export const STICK_THRESHOLDS = [0.3, 0.5, 0.7];
+
+const STORAGE_KEY = 'z2clone.profiles';
+const FILE_FORMAT = 'z2clone-profiles';
+const FILE_VERSION = 1;
+
+const HAT_DIRS = ['up', 'right', 'down', 'left'];
+
+// ─── Profiles ────────────────────────────────────────────────
+
+/** A fresh profile with player `slot`'s default keys. */
+export function defaultProfile(slot, name = `Player ${slot + 1}`) {
+  return {
+    name,
+    keys: { ...C.DEFAULT_BINDS[slot] },
+    gamepads: {},
+    options: { delayPin: null, stickThreshold: C.GAMEPAD_AXIS_THRESHOLD },
+  };
+}
+
+/** Profile name as stored and shown: one line, trimmed, at most PROFILE_NAME_MAX characters. */
+export function cleanProfileName(name) {
+  return String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, PROFILE_NAME_MAX);
+}
+
+/**
+ * A profile as read back, checked field by field: malformed bindings and
+ * options are dropped and anything missing takes the default. Throws if
+ * it isn't a profile at all.
+ */
+export function cleanProfile(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Not a control profile');
+  const name = cleanProfileName(raw.name);
+  if (!name) throw new Error('A control profile has no name');
+
+  const profile = defaultProfile(0, name);
+  for (const action in profile.keys) {
+    if (typeof raw.keys?.[action] === 'string') profile.keys[action] = raw.keys[action];
+  }
+  for (const [id, layout] of Object.entries(raw.gamepads ?? {})) {
+    if (!layout || typeof layout !== 'object') continue;
+    const clean = {};
+    for (const action in C.DEFAULT_GAMEPAD_BINDS) {
+      clean[action] = Array.isArray(layout[action])
+        ? layout[action].map(cleanBinding).filter(Boolean)
+        : C.DEFAULT_GAMEPAD_BINDS[action].map(b => ({ ...b }));
+    }
+    profile.gamepads[id] = clean;
+  }
+
+  const pin = raw.options?.delayPin;
+  if (Number.isInteger(pin) && pin >= 0 && pin <= C.INPUT_DELAY_MAX) profile.options.delayPin = pin;
+  const threshold = raw.options?.stickThreshold;
+  if (typeof threshold === 'number' && threshold > 0 && threshold < 1) profile.options.stickThreshold = threshold;
+  return profile;
+}
+
+function cleanBinding(b) {
+  if (!b || !Number.isInteger(b.index) || b.index < 0) return null;
+  switch (b.type) {
+    case 'button':
+      return { type: 'button', index: b.index };
+    case 'axis':
+      return b.dir === 1 || b.dir === -1 ? { type: 'axis', index: b.index, dir: b.dir } : null;
+    case 'hat':
+      return HAT_DIRS.includes(b.dir) ? { type: 'hat', index: b.index, dir: b.dir } : null;
+  }
+  return null;
+}
+
+// ─── Store ───────────────────────────────────────────────────
+
+export class ProfileStore {
+  constructor(storage = localStorage) {
+    this.storage = storage;
+    this.profiles = new Map(); // name → profile
+    this.slots = [null, null]; // profile name per player slot
+    this._load();
+  }
+
+  /** Profile names, alphabetically. */
+  names() {
+    return [...this.profiles.keys()].sort((a, b) => a.localeCompare(b));
+  }
+
+  /** The profile a player slot uses. */
+  forSlot(slot) {
+    return this.profiles.get(this.slots[slot]);
+  }
+
+  /**
+   * Use the named profile for a player slot. Slots never share a profile,
+   * so taking the other slot's one swaps the two.
+   */
+  select(slot, name) {
+    if (!this.profiles.has(name)) return;
+    if (this.slots[1 - slot] === name) this.slots[1 - slot] = this.slots[slot];
+    this.slots[slot] = name;
+    this.save();
+  }
+
+  /** A copy of the slot's profile under a new name, which the slot then uses. */
+  duplicate(slot) {
+    const source = this.forSlot(slot);
+    const copy = cleanProfile({ ...source, name: this._freeName(source.name) });
+    this.profiles.set(copy.name, copy);
+    this.slots[slot] = copy.name;
+    this.save();
+    return copy;
+  }
+
+  /** Rename a profile. Returns why it can't be, or null once done. */
+  rename(profile, newName) {
+    const name = cleanProfileName(newName);
+    if (!name) return 'A profile needs a name';
+    if (name === profile.name) return null;
+    if (this.profiles.has(name)) return `There is already a profile called "${name}"`;
+
+    this.profiles.delete(profile.name);
+    this.slots = this.slots.map(s => (s === profile.name ? name : s));
+    profile.name = name;
+    this.profiles.set(name, profile);
+    this.save();
+    return null;
+  }
+
+  /** Delete a profile; slots that used it fall back to their default one. */
+  remove(name) {
+    this.profiles.delete(name);
+    this._fillSlots();
+    this.save();
+  }
+
+  save() {
+    const data = { profiles: [...this.profiles.values()], slots: this.slots };
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+      console.warn('Could not save control profiles:', err.message);
+    }
+  }
+
+  // ── Files ──
+
+  /** Every profile as the text of a JSON file. */
+  exportJson() {
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, profiles: [...this.profiles.values()] }, null, 2);
+  }
+
+  /**
+   * Add the profiles in an exported file, replacing any with the same
+   * name. Returns their names; throws with a readable message if the file
+   * isn't an export.
+   */
+  importJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a JSON file');
+    }
+    if (data?.format !== FILE_FORMAT || !Array.isArray(data.profiles)) {
+      throw new Error('Not a control profile file');
+    }
+    if (data.version > FILE_VERSION) {
+      throw new Error('This profile file is from a newer version of the game');
+    }
+
+    const imported = data.profiles.map(cleanProfile);
+    for (const profile of imported) {
+      // Keep the object a slot may be using, so edits keep reaching the store
+      const existing = this.profiles.get(profile.name);
+      if (existing) Object.assign(existing, profile);
+      else this.profiles.set(profile.name, profile);
+    }
+    this.save();
+    return imported.map(p => p.name);
+  }
+
+  // ── Internals ──
+
+  _load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+    } catch {
+      // unreadable — start over with the defaults
+    }
+    for (const raw of Array.isArray(data?.profiles) ? data.profiles : []) {
+      try {
+        const profile = cleanProfile(raw);
+        this.profiles.set(profile.name, profile);
+      } catch {
+        // skip it
+      }
+    }
+    if (Array.isArray(data?.slots)) this.slots = data.slots.slice(0, 2);
+    this._fillSlots();
+  }
+
+  /**
+   * Point any slot without a profile of its own at its default, creating
+   * that if needed — under another name if the other slot holds it.
+   */
+  _fillSlots() {
+    for (let slot = 0; slot < 2; slot++) {
+      const name = this.slots[slot];
+      const other = this.slots[1 - slot];
+      if (this.profiles.has(name) && !(slot === 1 && name === other)) continue;
+      let fallback = defaultProfile(slot);
+      if (fallback.name === other) fallback = defaultProfile(slot, this._freeName(fallback.name));
+      if (!this.profiles.has(fallback.name)) this.profiles.set(fallback.name, fallback);
+      this.slots[slot] = fallback.name;
+    }
+  }
+
+  /** "Name copy", then "Name copy 2", ... — whichever is free. */
+  _freeName(base) {
+    const stem = `${base.replace(/ copy( \d+)?$/, '').slice(0, PROFILE_NAME_MAX - 8)} copy`;
+    if (!this.profiles.has(stem)) return stem;
+    for (let n = 2; ; n++) {
+      const name = `${stem} ${n}`;
+      if (!this.profiles.has(name)) return name;
+    }
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * Binary wire format for data-channel messages.
+ *
+ * Every message is an ArrayBuffer: [version u8][type u8][payload]. The
+ * hot messages get a compact typed payload; anything else (desync dumps,
+ * spectator snapshots — rare and large) travels as UTF-8 JSON inside a
+ * JSON envelope, so every message object the game uses can be sent.
+ *
+ *   input           frame Δ, flags|count u8, [advantage zz], [frame − ack zz], count × input byte
+ *   weapons         bestOf u8 (0 = none), count u8, count × string
+ *   ready           delay pin u8 (NO_PIN = auto)
+ *   start           input delay u8
+ *   rematch / reselect             no payload
+ *   ping / pong     id uvar
+ *   checksum        frame Δ, hash u32
+ *   spectateInputs  frame Δ, count uvar, count × (p1 byte, p2 byte)
+ *
+ * Inputs are bit-packed into one byte (INPUT_KEYS order, bit 0 first).
+ * Frame numbers are delta-encoded (zigzag varint) against the previous
+ * frame number on the same channel, so encoder and decoder are stateful:
+ * use one pair per ordered, reliable channel, and a new pair when the
+ * channel is replaced. Redundant inputs in one message are consecutive
+ * frames counting down from the first, so only that one is sent.
+ *
+ * Bump PROTOCOL_VERSION whenever a payload layout changes.
+ */
+import { createEmptyInput } from './state.js';
+
+export const PROTOCOL_VERSION = 3;
+
+const MSG_JSON = 0;
+const MSG_INPUT = 1;
+const MSG_WEAPONS = 2;
+const MSG_READY = 3;
+const MSG_REMATCH = 4;
+const MSG_RESELECT = 5;
+const MSG_CHECKSUM = 6;
+const MSG_SPECTATE_INPUTS = 7;
+const MSG_START = 8;
+const MSG_PING = 9;
+const MSG_PONG = 10;
+
+const HAS_ADVANTAGE = 0x80; // input flags|count byte: advantage follows
+const HAS_ACK = 0x40;       // input flags|count byte: ack follows
+const COUNT_MASK = 0x3f;
+const NO_PIN = 0xff;        // ready: no input delay pinned
+
+/** Input fields in bit order. */
+export const INPUT_KEYS = Object.keys(createEmptyInput());
+
+// ─── Input Packing ───────────────────────────────────────────
+
+export function packInput(input) {
+  let bits = 0;
+  for (let i = 0; i < INPUT_KEYS.length; i++) {
+    if (input[INPUT_KEYS[i]]) bits |= 1 << i;
+  }
+  return bits;
+}
+
+export function unpackInput(bits) {
+  const input = createEmptyInput();
+  for (let i = 0; i < INPUT_KEYS.length; i++) {
+    input[INPUT_KEYS[i]] = (bits & (1 << i)) !== 0;
+  }
+  return input;
+}
+
+// ─── Encoder ─────────────────────────────────────────────────
+
+export class ProtocolEncoder {
+  constructor() {
+    this.lastFrame = 0; // frame numbers are sent relative to this
+  }
+
+  /** Encode a message object into an ArrayBuffer. */
+  encode(msg) {
+    const w = new ByteWriter();
+    w.u8(PROTOCOL_VERSION);
+
+    switch (msg.type) {
+      case 'input': {
+        const count = msg.inputs.length;
+        if (count > COUNT_MASK) throw new Error(`Too many inputs in one message (${count})`);
+        const hasAdvantage = typeof msg.advantage === 'number';
+        const hasAck = typeof msg.ack === 'number';
+        w.u8(MSG_INPUT);
+        this._frame(w, msg.startFrame);
+        w.u8(count | (hasAdvantage ? HAS_ADVANTAGE : 0) | (hasAck ? HAS_ACK : 0));
+        if (hasAdvantage) w.svar(msg.advantage);
+        if (hasAck) w.svar(msg.startFrame - msg.ack);
+        for (let i = 0; i < count; i++) w.u8(packInput(msg.inputs[i]));
+        break;
+      }
+
+      case 'weapons':
+        w.u8(MSG_WEAPONS);
+        w.u8(msg.bestOf || 0);
+        w.u8(msg.weapons.length);
+        for (const id of msg.weapons) w.string(id);
+        break;
+
+      case 'ready':
+        w.u8(MSG_READY);
+        w.u8(typeof msg.delayPin === 'number' ? msg.delayPin : NO_PIN);
+        break;
+
+      case 'start':
+        w.u8(MSG_START);
+        w.u8(msg.inputDelay);
+        break;
+
+      case 'ping':
+      case 'pong':
+        w.u8(msg.type === 'ping' ? MSG_PING : MSG_PONG);
+        w.uvar(msg.id);
+        break;
+
+      case 'rematch':
+        w.u8(MSG_REMATCH);
+        break;
+
+      case 'reselect':
+        w.u8(MSG_RESELECT);
+        break;
+
+      case 'checksum':
+        w.u8(MSG_CHECKSUM);
+        this._frame(w, msg.frame);
+        w.u32(msg.hash);
+        break;
+
+      case 'spectateInputs':
+        w.u8(MSG_SPECTATE_INPUTS);
+        this._frame(w, msg.startFrame);
+        w.uvar(msg.inputs.length);
+        for (const [p1, p2] of msg.inputs) {
+          w.u8(packInput(p1));
+          w.u8(packInput(p2));
+        }
+        break;
+
+      default:
+        w.u8(MSG_JSON);
+        w.bytes(new TextEncoder().encode(JSON.stringify(msg)));
+        break;
+    }
+
+    return w.finish();
+  }
+
+  _frame(w, frame) {
+    w.svar(frame - this.lastFrame);
+    this.lastFrame = frame;
+  }
+}
+
+// ─── Decoder ─────────────────────────────────────────────────
+
+export class ProtocolDecoder {
+  constructor() {
+    this.lastFrame = 0;
+    this._nextFrame = 0; // frame read from the message being decoded
+  }
+
+  /** Decode an ArrayBuffer (or typed array) into a message object. Throws if malformed. */
+  decode(data) {
+    const r = new ByteReader(data);
+    const version = r.u8();
+    if (version !== PROTOCOL_VERSION) {
+      throw new Error(`Unsupported protocol version ${version} (expected ${PROTOCOL_VERSION})`);
+    }
+
+    // Only a message that decodes whole moves the frame base
+    this._nextFrame = this.lastFrame;
+    const msg = this._decodeMessage(r);
+    this.lastFrame = this._nextFrame;
+    return msg;
+  }
+
+  _decodeMessage(r) {
+    const type = r.u8();
+    switch (type) {
+      case MSG_INPUT: {
+        const startFrame = this._frame(r);
+        const flags = r.u8();
+        const msg = { type: 'input', startFrame, inputs: [] };
+        if (flags & HAS_ADVANTAGE) msg.advantage = r.svar();
+        if (flags & HAS_ACK) msg.ack = startFrame - r.svar();
+        const count = flags & COUNT_MASK;
+        for (let i = 0; i < count; i++) msg.inputs.push(unpackInput(r.u8()));
+        return msg;
+      }
+
+      case MSG_WEAPONS: {
+        const bestOf = r.u8();
+        const count = r.u8();
+        const msg = { type: 'weapons', weapons: [] };
+        for (let i = 0; i < count; i++) msg.weapons.push(r.string());
+        if (bestOf) msg.bestOf = bestOf;
+        return msg;
+      }
+
+      case MSG_READY: {
+        const pin = r.u8();
+        return pin === NO_PIN ? { type: 'ready' } : { type: 'ready', delayPin: pin };
+      }
+
+      case MSG_START:
+        return { type: 'start', inputDelay: r.u8() };
+
+      case MSG_PING:
+        return { type: 'ping', id: r.uvar() };
+
+      case MSG_PONG:
+        return { type: 'pong', id: r.uvar() };
+
+      case MSG_REMATCH:
+        return { type: 'rematch' };
+
+      case MSG_RESELECT:
+        return { type: 'reselect' };
+
+      case MSG_CHECKSUM: {
+        const frame = this._frame(r);
+        return { type: 'checksum', frame, hash: r.u32() };
+      }
+
+      case MSG_SPECTATE_INPUTS: {
+        const startFrame = this._frame(r);
+        const count = r.uvar();
+        const inputs = [];
+        for (let i = 0; i < count; i++) inputs.push([unpackInput(r.u8()), unpackInput(r.u8())]);
+        return { type: 'spectateInputs', startFrame, inputs };
+      }
+
+      case MSG_JSON:
+        return JSON.parse(new TextDecoder().decode(r.rest()));
+
+      default:
+        throw new Error(`Unknown message type ${type}`);
+    }
+  }
+
+  _frame(r) {
+    this._nextFrame = this.lastFrame + r.svar();
+    return this._nextFrame;
+  }
+}
+
+// ─── Bytes ───────────────────────────────────────────────────
+
+class ByteWriter {
+  constructor() {
+    this.buf = new Uint8Array(32);
+    this.length = 0;
+  }
+
+  _reserve(n) {
+    if (this.length + n <= this.buf.length) return;
+    const grown = new Uint8Array(Math.max(this.buf.length * 2, this.length + n));
+    grown.set(this.buf.subarray(0, this.length));
+    this.buf = grown;
+  }
+
+  u8(v) {
+    this._reserve(1);
+    this.buf[this.length++] = v & 0xff;
+  }
+
+  u32(v) {
+    this._reserve(4);
+    this.buf[this.length++] = (v >>> 24) & 0xff;
+    this.buf[this.length++] = (v >>> 16) & 0xff;
+    this.buf[this.length++] = (v >>> 8) & 0xff;
+    this.buf[this.length++] = v & 0xff;
+  }
+
+  /** Unsigned LEB128 varint (up to 32 bits). */
+  uvar(v) {
+    v >>>= 0;
+    while (v >= 0x80) {
+      this.u8((v & 0x7f) | 0x80);
+      v >>>= 7;
+    }
+    this.u8(v);
+  }
+
+  /** Signed varint, zigzag-encoded so small negatives stay short. */
+  svar(v) {
+    this.uvar((v << 1) ^ (v >> 31));
+  }
+
+  string(s) {
+    const bytes = new TextEncoder().encode(s);
+    this.uvar(bytes.length);
+    this.bytes(bytes);
+  }
+
+  bytes(bytes) {
+    this._reserve(bytes.length);
+    this.buf.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /** The encoded message as an exactly-sized ArrayBuffer. */
+  finish() {
+    return this.buf.buffer.slice(0, this.length);
+  }
+}
+
+class ByteReader {
+  constructor(data) {
+    this.buf = data instanceof Uint8Array ? data
+      : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    this.pos = 0;
+  }
+
+  u8() {
+    if (this.pos >= this.buf.length) throw new Error('Truncated message');
+    return this.buf[this.pos++];
+  }
+
+  u32() {
+    return ((this.u8() << 24) | (this.u8() << 16) | (this.u8() << 8) | this.u8()) >>> 0;
+  }
+
+  uvar() {
+    let v = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      const b = this.u8();
+      v |= (b & 0x7f) << shift;
+      if (b < 0x80) return v >>> 0;
+    }
+    throw new Error('Malformed varint');
+  }
+
+  svar() {
+    const z = this.uvar();
+    return (z >>> 1) ^ -(z & 1);
+  }
+
+  string() {
+    const len = this.uvar();
+    if (this.pos + len > this.buf.length) throw new Error('Truncated message');
+    const s = new TextDecoder().decode(this.buf.subarray(this.pos, this.pos + len));
+    this.pos += len;
+    return s;
+  }
+
+  rest() {
+    const out = this.buf.subarray(this.pos);
+    this.pos = this.buf.length;
+    return out;
+  }
+}
@@ -1,8 +1,12 @@
 /**
  * Canvas 2D renderer — draws game state with procedural stick figures.
- * Rendering is fully separated from simulation.
+ * Rendering is fully separated from simulation; state positions are
+ * fixed-point and converted to pixels here with toPx().
  */
 import * as C from './constants.js';
+import { WEAPON_DEFS, getWeapon } from './weapons/index.js';
+import { toPx } from './fixed.js';
+import { formatHash } from './checksum.js';
 
 const COLORS = {
   sky: '#87CEEB',
@@ -18,28 +22,35 @@ const COLORS = {
   shieldBlock: '#FFFFFF',
   hitstun: '#FFFFFF',
   blockstun: '#FFFF88',
+  parried: '#BB88FF',
+  parry: '#88DDFF',
   hpFull: '#44CC44',
   hpEmpty: '#333333',
-  knife: '#CCCCCC',
-  boomerang: '#DD8800',
-  boomerangArc: 'rgba(221,136,0,0.15)',
+  roundWon: '#FFD700',
+  roundEmpty: 'rgba(0,0,0,0.35)',
+  timer: '#FFFFFF',
+  timerLow: '#FF4444',
   attackSlash: '#FFFFAA',
-  weaponSteel: '#C0C0C0',
-  weaponHandle: '#8B4513',
-  weaponSpear: '#D2B48C',
+  shadow: 'rgba(0,0,0,0.25)',
+  clash: '#FFFFFF',
+  clashGlow: '#FFAA33',
 };
 
-export function render(ctx, state, rollback) {
+export function render(ctx, state, rollback, spectator) {
   ctx.clearRect(0, 0, C.CANVAS_WIDTH, C.CANVAS_HEIGHT);
 
   drawArena(ctx);
   drawProjectiles(ctx, state);
   drawPlayers(ctx, state);
+  drawEffects(ctx, state);
   drawHUD(ctx, state);
 
   if (rollback) {
     drawNetStats(ctx, rollback);
   }
+  if (spectator) {
+    drawSpectatorStatus(ctx, spectator);
+  }
 }
 
 // ─── Arena ───────────────────────────────────────────────────
@@ -72,9 +83,10 @@ function drawArena(ctx) {
 // ─── Stick Figure Body Layout ────────────────────────────────
 
 function getBodyLayout(p) {
-  const cx = p.x + C.PLAYER_WIDTH / 2;
-  const footY = C.GROUND_Y;
+  const cx = toPx(p.x) + C.PLAYER_WIDTH / 2;
+  const footY = C.GROUND_Y - toPx(p.y);
   const crouch = p.stance === 'crouching';
+  const airborne = p.airborne;
 
   if (!crouch) {
     // Standing proportions within 48×64
@@ -84,7 +96,7 @@ function getBodyLayout(p) {
     const shoulderY = neckY + 4;
     const hipY = footY - 22;
     const kneeY = footY - 10;
-    return { cx, footY, headY, headR, neckY, shoulderY, hipY, kneeY, crouch };
+    return { cx, footY, headY, headR, neckY, shoulderY, hipY, kneeY, crouch, airborne };
   } else {
     // Crouching — compressed, knees bent
     const headR = 6;
@@ -93,7 +105,7 @@ function getBodyLayout(p) {
     const shoulderY = neckY + 3;
     const hipY = footY - 14;
     const kneeY = footY - 6;
-    return { cx, footY, headY, headR, neckY, shoulderY, hipY, kneeY, crouch };
+    return { cx, footY, headY, headR, neckY, shoulderY, hipY, kneeY, crouch, airborne };
   }
 }
 
@@ -102,9 +114,12 @@ function getBodyLayout(p) {
 /** Returns {phase, t} where phase is 'windup'|'active'|'recovery' and t is 0..1 progress within that phase */
 function getAttackPhase(p) {
   if (p.state !== 'attacking' || !p.activeWeapon) return null;
-  const wDef = C.WEAPON_DEFS[p.activeWeapon];
+  const wDef = WEAPON_DEFS[p.activeWeapon];
   if (!wDef) return null;
 
+  // Down-thrust is held until landing
+  if (p.attackKind === 'downthrust') return { phase: 'active', t: 0.5, wDef };
+
   const elapsed = wDef.attackFrames - p.stateTimer;
 
   if (wDef.type === 'melee') {
@@ -140,12 +155,14 @@ function drawPlayer(ctx, p, idx, state) {
   const baseColor = idx === 0 ? COLORS.p1 : COLORS.p2;
   const lightColor = idx === 0 ? COLORS.p1Light : COLORS.p2Light;
 
-  // Flash during hitstun/blockstun
+  // Flash during hitstun/blockstun/parried recovery
   let tint = null;
   if (p.state === 'hitstun' && p.stateTimer % 4 < 2) {
     tint = COLORS.hitstun;
   } else if (p.state === 'blockstun' && p.stateTimer % 4 < 2) {
     tint = COLORS.blockstun;
+  } else if (p.state === 'parried' && p.stateTimer % 6 < 3) {
+    tint = COLORS.parried;
   }
 
   const lineColor = tint || baseColor;
@@ -157,6 +174,14 @@ function drawPlayer(ctx, p, idx, state) {
   ctx.lineCap = 'round';
   ctx.lineJoin = 'round';
 
+  // ── Ground shadow while airborne ──
+  if (body.airborne) {
+    ctx.fillStyle = COLORS.shadow;
+    ctx.beginPath();
+    ctx.ellipse(body.cx, C.GROUND_Y, 12, 3, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
   // ── Legs ──
   drawLegs(ctx, body, facing, lineColor);
 
@@ -189,7 +214,8 @@ function drawPlayer(ctx, p, idx, state) {
 
   // ── Attack slash effect (active frames only) ──
   if (atk && atk.phase === 'active' && atk.wDef.type === 'melee') {
-    drawMeleeSlashEffect(ctx, p, atk, body);
+    if (p.attackKind === 'normal') drawMeleeSlashEffect(ctx, p, atk, body);
+    else drawThrustEffect(ctx, p, atk, body);
   }
 
   // Player label
@@ -205,11 +231,12 @@ function drawLegs(ctx, body, _facing, color) {
   ctx.strokeStyle = color;
   ctx.lineWidth = 3;
 
-  const legSpread = body.crouch ? 10 : 7;
+  const bent = body.crouch || body.airborne;
+  const legSpread = bent ? 10 : 7;
   const hipX = body.cx;
 
-  if (body.crouch) {
-    // Crouching: knees bent outward
+  if (bent) {
+    // Crouching / airborne: knees bent outward
     ctx.beginPath();
     ctx.moveTo(hipX, body.hipY);
     ctx.lineTo(hipX - legSpread, body.kneeY);
@@ -238,8 +265,8 @@ function drawLegs(ctx, body, _facing, color) {
   ctx.lineWidth = 2;
   const footLen = 4;
   ctx.beginPath();
-  const lFootX = body.crouch ? hipX - legSpread - 3 : hipX - legSpread;
-  const rFootX = body.crouch ? hipX + legSpread + 3 : hipX + legSpread;
+  const lFootX = bent ? hipX - legSpread - 3 : hipX - legSpread;
+  const rFootX = bent ? hipX + legSpread + 3 : hipX + legSpread;
   ctx.moveTo(lFootX - footLen * 0.3, body.footY);
   ctx.lineTo(lFootX + footLen, body.footY);
   ctx.moveTo(rFootX - footLen, body.footY);
@@ -292,7 +319,21 @@ function drawWeaponArm(ctx, _body, p, atk, sx, sy, side, lineColor) {
   // Determine arm pose based on attack phase
   let elbowX, elbowY, handX, handY, weaponAngle;
 
-  if (!atk) {
+  if (atk && p.attackKind === 'downthrust') {
+    // Down-thrust — weapon held straight down below the feet
+    elbowX = sx + side * 5;
+    elbowY = sy + 10;
+    handX = sx + side * 4;
+    handY = sy + 20;
+    weaponAngle = facing * Math.PI / 2;
+  } else if (atk && p.attackKind === 'upthrust') {
+    // Up-thrust — weapon held straight up above the head
+    elbowX = sx + side * 5;
+    elbowY = sy - 6;
+    handX = sx + side * 4;
+    handY = sy - 16;
+    weaponAngle = -facing * Math.PI / 2;
+  } else if (!atk) {
     // Idle — arm forward, hand near torso level
     elbowX = sx + side * 6;
     elbowY = sy + 8;
@@ -358,135 +399,20 @@ function drawWeaponInHand(ctx, p, atk, hx, hy, angle, facing) {
   }
   if (!weaponId) return;
 
-  const wDef = C.WEAPON_DEFS[weaponId];
-  if (!wDef) return;
+  const weapon = getWeapon(weaponId);
+  if (!weapon) return;
 
   ctx.save();
   ctx.translate(hx, hy);
   ctx.rotate(angle);
-
-  if (wDef.id === 'sword') {
-    drawSwordWeapon(ctx, facing, wDef);
-  } else if (wDef.id === 'dagger') {
-    drawDaggerWeapon(ctx, facing, wDef);
-  } else if (wDef.id === 'spear') {
-    drawSpearWeapon(ctx, facing, wDef);
-  } else if (wDef.subtype === 'boomerang') {
-    drawBoomerangWeapon(ctx, facing);
-  } else if (wDef.subtype === 'knife') {
-    drawThrowingKnifeWeapon(ctx, facing);
-  }
-
+  weapon.drawInHand(ctx, facing, weapon.def);
   ctx.restore();
 }
 
-function drawSwordWeapon(ctx, facing, wDef) {
-  const dir = facing;
-  const bladeLen = wDef.range;
-
-  // Blade
-  ctx.strokeStyle = COLORS.weaponSteel;
-  ctx.lineWidth = 2.5;
-  ctx.beginPath();
-  ctx.moveTo(0, 0);
-  ctx.lineTo(dir * bladeLen, -1);
-  ctx.stroke();
-
-  // Crossguard
-  ctx.strokeStyle = COLORS.weaponHandle;
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.moveTo(dir * 1, -4);
-  ctx.lineTo(dir * 1, 4);
-  ctx.stroke();
-
-  // Handle nub
-  ctx.fillStyle = COLORS.weaponHandle;
-  ctx.fillRect(-dir * 2 - 1, -1.5, 3, 3);
-}
-
-function drawDaggerWeapon(ctx, facing, wDef) {
-  const dir = facing;
-  const bladeLen = wDef.range;
-
-  // Short blade
-  ctx.strokeStyle = COLORS.weaponSteel;
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.moveTo(0, 0);
-  ctx.lineTo(dir * bladeLen, -1);
-  ctx.stroke();
-
-  // Small guard
-  ctx.strokeStyle = COLORS.weaponHandle;
-  ctx.lineWidth = 1.5;
-  ctx.beginPath();
-  ctx.moveTo(dir * 1, -3);
-  ctx.lineTo(dir * 1, 3);
-  ctx.stroke();
-}
-
-function drawSpearWeapon(ctx, facing, wDef) {
-  const dir = facing;
-  const shaftLen = wDef.range;
-  const headLen = 6;
-
-  // Long shaft
-  ctx.strokeStyle = COLORS.weaponSpear;
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.moveTo(-dir * 3, 0);
-  ctx.lineTo(dir * shaftLen, 0);
-  ctx.stroke();
-
-  // Spearhead (triangle)
-  ctx.fillStyle = COLORS.weaponSteel;
-  ctx.beginPath();
-  ctx.moveTo(dir * shaftLen, 0);
-  ctx.lineTo(dir * (shaftLen + headLen), 0);
-  ctx.lineTo(dir * shaftLen, -3);
-  ctx.moveTo(dir * shaftLen, 0);
-  ctx.lineTo(dir * (shaftLen + headLen), 0);
-  ctx.lineTo(dir * shaftLen, 3);
-  ctx.fill();
-}
-
-function drawBoomerangWeapon(ctx, facing) {
-  const dir = facing;
-  // V-shape boomerang
-  ctx.strokeStyle = COLORS.boomerang;
-  ctx.lineWidth = 2.5;
-  ctx.beginPath();
-  ctx.moveTo(dir * -4, -5);
-  ctx.lineTo(dir * 2, 0);
-  ctx.lineTo(dir * -4, 5);
-  ctx.stroke();
-}
-
-function drawThrowingKnifeWeapon(ctx, facing) {
-  const dir = facing;
-  // Small blade
-  ctx.fillStyle = COLORS.weaponSteel;
-  ctx.beginPath();
-  ctx.moveTo(dir * 8, 0);
-  ctx.lineTo(dir * 1, -2.5);
-  ctx.lineTo(dir * 1, 2.5);
-  ctx.closePath();
-  ctx.fill();
-
-  // Tiny handle
-  ctx.strokeStyle = COLORS.weaponHandle;
-  ctx.lineWidth = 1.5;
-  ctx.beginPath();
-  ctx.moveTo(0, 0);
-  ctx.lineTo(-dir * 4, 0);
-  ctx.stroke();
-}
-
 // ─── Melee Slash Effect ──────────────────────────────────────
 
 function drawMeleeSlashEffect(ctx, p, atk, body) {
-  const startX = p.x + (p.facing === 1 ? C.PLAYER_WIDTH : 0);
+  const startX = toPx(p.x) + (p.facing === 1 ? C.PLAYER_WIDTH : 0);
   const endX = startX + p.facing * atk.wDef.range;
 
   const isHigh = p.attackStance === 'standing';
@@ -511,64 +437,97 @@ function drawMeleeSlashEffect(ctx, p, atk, body) {
   ctx.lineWidth = 1;
 }
 
+function drawThrustEffect(ctx, p, atk, body) {
+  const down = p.attackKind === 'downthrust';
+  const startY = down ? body.footY : body.headY - body.headR;
+  const endY = startY + (down ? 1 : -1) * atk.wDef.range;
+
+  ctx.strokeStyle = COLORS.attackSlash;
+  ctx.lineWidth = 3;
+  ctx.globalAlpha = 0.8;
+  ctx.beginPath();
+  ctx.moveTo(body.cx, startY);
+  ctx.lineTo(body.cx, endY);
+  ctx.stroke();
+
+  ctx.lineWidth = C.PLAYER_WIDTH / 2;
+  ctx.globalAlpha = 0.3;
+  ctx.beginPath();
+  ctx.moveTo(body.cx, startY);
+  ctx.lineTo(body.cx, endY);
+  ctx.stroke();
+
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 1;
+}
+
 // ─── Projectiles ─────────────────────────────────────────────
 
 function drawProjectiles(ctx, state) {
   for (const proj of state.projectiles) {
     if (!proj.active) continue;
+    getWeapon(proj.weapon).drawProjectile(ctx, proj, state.frame);
+  }
+}
 
-    if (proj.type === 'knife') {
-      drawKnife(ctx, proj);
-    } else if (proj.type === 'boomerang') {
-      drawBoomerang(ctx, proj, state.frame);
-    }
+// ─── Effects ─────────────────────────────────────────────────
+
+function drawEffects(ctx, state) {
+  for (const e of state.effects) {
+    if (e.kind === 'clash') drawClashSpark(ctx, e);
+    else if (e.kind === 'parry') drawParryFlash(ctx, e);
   }
 }
 
-function drawKnife(ctx, proj) {
-  ctx.fillStyle = COLORS.knife;
-  ctx.save();
-  ctx.translate(proj.x, proj.y);
+/** Expanding double ring off the shield — reads differently from a clash spark. */
+function drawParryFlash(ctx, e) {
+  const t = 1 - e.timer / C.PARRY_EFFECT_FRAMES;
+  const x = toPx(e.x);
+  const y = toPx(e.y);
 
+  ctx.globalAlpha = 1 - t;
+  ctx.strokeStyle = COLORS.parry;
+  ctx.lineWidth = 3;
   ctx.beginPath();
-  ctx.moveTo(proj.direction * 10, 0);
-  ctx.lineTo(-proj.direction * 3, -3);
-  ctx.lineTo(-proj.direction * 3, 3);
-  ctx.closePath();
-  ctx.fill();
+  ctx.arc(x, y, 6 + t * 24, 0, Math.PI * 2);
+  ctx.stroke();
 
-  ctx.restore();
+  ctx.strokeStyle = COLORS.clash;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(x, y, 3 + t * 14, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 1;
 }
 
-function drawBoomerang(ctx, proj, frame) {
-  ctx.save();
-  ctx.translate(proj.x, proj.y);
+/** Star burst that grows and fades over the effect's lifetime. */
+function drawClashSpark(ctx, e) {
+  const t = 1 - e.timer / C.CLASH_EFFECT_FRAMES;
+  const x = toPx(e.x);
+  const y = toPx(e.y);
+  const inner = 3 + t * 6;
+  const outer = 8 + t * 14;
 
-  const angle = frame * 0.3;
-  ctx.rotate(angle);
-
-  ctx.fillStyle = COLORS.boomerang;
+  ctx.globalAlpha = 1 - t * 0.8;
+  ctx.strokeStyle = COLORS.clashGlow;
+  ctx.lineWidth = 3;
   ctx.beginPath();
-  ctx.moveTo(0, -6);
-  ctx.lineTo(6, 0);
-  ctx.moveTo(0, 6);
-  ctx.lineTo(-6, 0);
-  ctx.closePath();
-  ctx.fill();
-  ctx.strokeStyle = '#AA6600';
-  ctx.lineWidth = 1;
+  for (let i = 0; i < 8; i++) {
+    const a = (i / 8) * Math.PI * 2;
+    ctx.moveTo(x + Math.cos(a) * inner, y + Math.sin(a) * inner);
+    ctx.lineTo(x + Math.cos(a) * outer, y + Math.sin(a) * outer);
+  }
   ctx.stroke();
 
-  if (proj.height === 'none') {
-    ctx.globalAlpha = 0.4;
-    ctx.fillStyle = proj.y > C.GROUND_Y ? '#553300' : '#AADDFF';
-    ctx.beginPath();
-    ctx.arc(0, 0, 8, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalAlpha = 1;
-  }
+  ctx.fillStyle = COLORS.clash;
+  ctx.beginPath();
+  ctx.arc(x, y, inner, 0, Math.PI * 2);
+  ctx.fill();
 
-  ctx.restore();
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 1;
 }
 
 // ─── HUD ─────────────────────────────────────────────────────
@@ -606,6 +565,7 @@ function drawHUD(ctx, state) {
     ctx.fillText(`${p.hp}/${C.MAX_HP}`, x + barW / 2, barY + 12);
 
     drawWeaponIndicators(ctx, p, i, x, barY + barH + 6);
+    drawRoundPips(ctx, state, i, x, barW, barY + barH + 26);
   }
 
   ctx.fillStyle = 'rgba(0,0,0,0.3)';
@@ -613,16 +573,83 @@ function drawHUD(ctx, state) {
   ctx.textAlign = 'center';
   ctx.fillText(`F:${state.frame}`, C.CANVAS_WIDTH / 2, 16);
 
+  drawRoundTimer(ctx, state);
+
   if (state.winner !== -1) {
-    drawVictory(ctx, state.winner);
+    drawVictory(ctx, state);
+  } else if (state.phase === 'intro') {
+    drawRoundIntro(ctx, state);
+  } else if (state.phase === 'roundEnd') {
+    drawRoundEnd(ctx, state);
+  }
+}
+
+function drawRoundTimer(ctx, state) {
+  const seconds = Math.ceil(state.roundTimer / C.TICK_RATE);
+  ctx.fillStyle = seconds <= 10 ? COLORS.timerLow : COLORS.timer;
+  ctx.font = 'bold 24px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(String(seconds).padStart(2, '0'), C.CANVAS_WIDTH / 2, 42);
+
+  if (state.rules.bestOf > 1) {
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.font = '9px monospace';
+    ctx.fillText(`ROUND ${state.round}`, C.CANVAS_WIDTH / 2, 56);
+  }
+}
+
+/** One pip per round needed to win the match, filled for rounds won. */
+function drawRoundPips(ctx, state, idx, barX, barW, y) {
+  const need = state.rules.roundsToWin;
+  if (need <= 1) return;
+
+  const r = 4;
+  const gap = 12;
+  for (let k = 0; k < need; k++) {
+    // P1 pips fill from the bar's inner edge (center-facing), P2 mirrored
+    const cx = idx === 0 ? barX + barW - r - k * gap : barX + r + k * gap;
+    ctx.fillStyle = k < state.roundWins[idx] ? COLORS.roundWon : COLORS.roundEmpty;
+    ctx.beginPath();
+    ctx.arc(cx, y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+}
+
+function drawRoundIntro(ctx, state) {
+  const text = state.phaseTimer > 30 ? `ROUND ${state.round}` : 'FIGHT!';
+  drawBanner(ctx, text, null);
+}
+
+function drawRoundEnd(ctx, state) {
+  const title = state.roundEndReason === 'timeout' ? 'TIME' : 'K.O.';
+  const sub = state.roundWinner === 2 ? 'DRAW' : `PLAYER ${state.roundWinner + 1} WINS THE ROUND`;
+  drawBanner(ctx, title, sub);
+}
+
+function drawBanner(ctx, title, sub) {
+  ctx.fillStyle = 'rgba(0,0,0,0.35)';
+  ctx.fillRect(0, C.CANVAS_HEIGHT / 2 - 40, C.CANVAS_WIDTH, sub ? 80 : 60);
+
+  ctx.fillStyle = '#FFD700';
+  ctx.font = 'bold 32px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(title, C.CANVAS_WIDTH / 2, C.CANVAS_HEIGHT / 2);
+
+  if (sub) {
+    ctx.fillStyle = '#FFF';
+    ctx.font = '14px monospace';
+    ctx.fillText(sub, C.CANVAS_WIDTH / 2, C.CANVAS_HEIGHT / 2 + 26);
   }
 }
 
 function drawWeaponIndicators(ctx, p, idx, startX, y) {
   for (let w = 0; w < 3; w++) {
     const weaponId = p.weapons[w];
-    const wDef = C.WEAPON_DEFS[weaponId];
-    if (!wDef) continue;
+    const weapon = getWeapon(weaponId);
+    if (!weapon) continue;
 
     const x = idx === 0 ? startX + w * 42 : startX + (2 - w) * 42;
     const isActive = p.state === 'attacking' && p.activeWeapon === weaponId;
@@ -631,25 +658,96 @@ function drawWeaponIndicators(ctx, p, idx, startX, y) {
     ctx.font = '9px monospace';
     ctx.textAlign = 'left';
 
-    let label = `${w + 1}:${wDef.name.slice(0, 4)}`;
-    if (wDef.subtype === 'boomerang') {
-      label += `(${p.boomerangsHeld})`;
+    let label = `${w + 1}:${weapon.def.name.slice(0, 4)}`;
+    if (weapon.ammo) {
+      label += `(${weapon.ammo(p)})`;
     }
     ctx.fillText(label, x, y + 10);
   }
 }
 
 function drawNetStats(ctx, rb) {
+  if (rb.syncTestFrames) {
+    drawSyncTestStatus(ctx, rb);
+    return;
+  }
+
   const pred = rb.predictionDepth;
   const color = pred > 4 ? '#FF4444' : pred > 2 ? '#FFCC00' : 'rgba(255,255,255,0.4)';
 
   ctx.fillStyle = color;
   ctx.font = '10px monospace';
   ctx.textAlign = 'right';
-  ctx.fillText(`Pred:${pred} Rb:${rb.stats.rollbacks}`, C.CANVAS_WIDTH - 10, C.CANVAS_HEIGHT - 8);
+  const ahead = rb.framesAhead;
+  ctx.fillText(`Dly:${rb.inputDelay} Adv:${ahead >= 0 ? '+' : ''}${ahead.toFixed(1)} Wait:${rb.stats.waits} Stall:${rb.stats.stalls} Pred:${pred} Rb:${rb.stats.rollbacks}`,
+    C.CANVAS_WIDTH - 10, C.CANVAS_HEIGHT - 8);
+
+  if (rb.waiting && rb.stallFrames > C.STALL_INDICATOR_FRAMES) drawWaitingBanner(ctx);
+  if (rb.desync) drawDesyncWarning(ctx, rb.desync);
 }
 
-function drawVictory(ctx, winner) {
+function drawSyncTestStatus(ctx, rb) {
+  ctx.fillStyle = 'rgba(255,255,255,0.4)';
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'right';
+  ctx.fillText(`SYNCTEST Rollback:${rb.syncTestFrames} Rb:${rb.stats.rollbacks} Chk:${rb.stats.checks}`,
+    C.CANVAS_WIDTH - 10, C.CANVAS_HEIGHT - 8);
+
+  const err = rb.syncError;
+  if (!err) return;
+  const lines = err.diff.slice(0, 8);
+  const top = 60;
+  ctx.fillStyle = 'rgba(120,0,0,0.85)';
+  ctx.fillRect(20, top - 16, C.CANVAS_WIDTH - 40, 40 + lines.length * 13);
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = 'bold 11px monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText(`SYNCTEST MISMATCH at frame ${err.frame} — ${err.what}: ` +
+    `${formatHash(err.expectedHash)} vs ${formatHash(err.actualHash)}`, 30, top);
+  ctx.font = '10px monospace';
+  lines.forEach((line, i) => ctx.fillText(line, 30, top + 18 + i * 13));
+  if (err.diff.length > lines.length) {
+    ctx.fillText('… full diff in the console', 30, top + 18 + lines.length * 13);
+  }
+}
+
+function drawSpectatorStatus(ctx, session) {
+  ctx.fillStyle = 'rgba(255,255,255,0.4)';
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'right';
+  ctx.fillText(`SPECTATING  Buf:${session.buffered}`, C.CANVAS_WIDTH - 10, C.CANVAS_HEIGHT - 8);
+
+  if (session.buffering) drawWaitingBanner(ctx, 'Buffering…');
+}
+
+function drawWaitingBanner(ctx, text = 'Waiting for opponent…') {
+  const y = C.CANVAS_HEIGHT / 2;
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(C.CANVAS_WIDTH / 2 - 120, y - 16, 240, 28);
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = 'bold 12px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(text, C.CANVAS_WIDTH / 2, y + 2);
+}
+
+function drawDesyncWarning(ctx, d) {
+  const y = C.CANVAS_HEIGHT - 40;
+  ctx.fillStyle = 'rgba(120,0,0,0.85)';
+  ctx.fillRect(C.CANVAS_WIDTH / 2 - 190, y - 14, 380, 30);
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = 'bold 11px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(`DESYNC at frame ${d.frame} — ${formatHash(d.localHash)} vs ${formatHash(d.remoteHash)}`,
+    C.CANVAS_WIDTH / 2, y);
+  ctx.font = '10px monospace';
+  ctx.fillText(d.remote ? 'State dump saved' : 'Waiting for peer state dump…', C.CANVAS_WIDTH / 2, y + 12);
+}
+
+function drawVictory(ctx, state) {
+  const winner = state.winner;
   ctx.fillStyle = 'rgba(0,0,0,0.6)';
   ctx.fillRect(0, 0, C.CANVAS_WIDTH, C.CANVAS_HEIGHT);
 
@@ -664,5 +762,10 @@ function drawVictory(ctx, winner) {
   ctx.fillText(text, C.CANVAS_WIDTH / 2, C.CANVAS_HEIGHT / 2 - 10);
 
   ctx.font = '16px monospace';
-  ctx.fillText('Press Enter to rematch', C.CANVAS_WIDTH / 2, C.CANVAS_HEIGHT / 2 + 30);
+  if (state.rules.bestOf > 1) {
+    const [w1, w2] = state.roundWins.map(w => w - state.roundDraws);
+    const draws = state.roundDraws ? ` (${state.roundDraws} drawn)` : '';
+    ctx.fillText(`${w1} - ${w2}${draws}`, C.CANVAS_WIDTH / 2, C.CANVAS_HEIGHT / 2 + 14);
+  }
+  ctx.fillText('Press Enter to rematch', C.CANVAS_WIDTH / 2, C.CANVAS_HEIGHT / 2 + 40);
 }
@@ -3,17 +3,43 @@
  *
  * Predicts remote input (repeats last confirmed), advances optimistically,
  * and resimulates from a saved snapshot when a misprediction is detected.
+ * Never predicts more than ROLLBACK_MAX_FRAMES ahead of the last remote
+ * input without gaps: past that it stalls and waits, so every predicted
+ * frame can still be corrected by a rollback.
+ *
+ * Time sync: each side measures how far its frame counter is ahead of the
+ * peer's (from the frame numbers on incoming inputs) and sends that with
+ * its own inputs. Latency inflates both measurements equally, so half the
+ * difference is the real drift; the side that's ahead sits out frames
+ * (every other one, so play slows instead of freezing — see shouldWait)
+ * until both run level.
+ *
+ * SyncTest (see syncTestTick) runs local play through the same rollback
+ * path, forcing a rollback every frame to catch state that snapshots miss.
  */
 import * as C from './constants.js';
-import { cloneState, createEmptyInput } from './state.js';
-import { simulateFrame } from './simulation.js';
+import { cloneState, copyStateInto, createEmptyInput } from './state.js';
+import { stepFrame } from './simulation.js';
+import { EventReconciler } from './events.js';
+import { hashState, diffState } from './checksum.js';
 
 // ─── Utilities ───────────────────────────────────────────────
 
+/**
+ * Input delay for a measured round-trip time: enough frames to cover the
+ * one-way trip, so most remote inputs arrive before they're needed.
+ * Clamped, since beyond a few frames delay feels worse than rollback.
+ */
+export function inputDelayForRtt(rttMs) {
+  const frames = Math.ceil(rttMs / 2 / C.FRAME_TIME);
+  return Math.max(C.INPUT_DELAY_AUTO_MIN, Math.min(C.INPUT_DELAY_AUTO_MAX, frames));
+}
+
 function inputsEqual(a, b) {
   return a.left === b.left &&
     a.right === b.right &&
     a.crouch === b.crouch &&
+    a.jump === b.jump &&
     a.weapon1 === b.weapon1 &&
     a.weapon2 === b.weapon2 &&
     a.weapon3 === b.weapon3;
@@ -50,23 +76,34 @@ class InputHistory {
   }
 }
 
+/**
+ * Snapshot slots are allocated on first use and then overwritten in place
+ * (see copyStateInto), so steady-state saving and loading allocate nothing.
+ */
 class StateHistory {
   constructor(size = 32) {
-    this.buf = new Array(size);
+    this.buf = new Array(size).fill(null);
     this.frames = new Int32Array(size).fill(-1);
     this.size = size;
   }
 
   save(frame, state) {
     const idx = frame % this.size;
-    this.buf[idx] = cloneState(state);
+    this.buf[idx] = copyStateInto(this.buf[idx], state);
     this.frames[idx] = frame;
   }
 
-  load(frame) {
+  /** The stored snapshot for `frame` itself (do not modify), or null if evicted. */
+  peek(frame) {
+    const idx = frame % this.size;
+    return this.frames[idx] === frame ? this.buf[idx] : null;
+  }
+
+  /** Copy the snapshot for `frame` into `dst` and return it, or null if evicted. */
+  loadInto(frame, dst) {
     const idx = frame % this.size;
     if (this.frames[idx] !== frame) return null;
-    return cloneState(this.buf[idx]);
+    return copyStateInto(dst, this.buf[idx]);
   }
 }
 
@@ -84,30 +121,87 @@ export class RollbackManager {
 
     this.currentFrame = 0;
     this.lastConfirmedFrame = -1;
+    this.inputDelay = C.ROLLBACK_INPUT_DELAY; // agreed per match, see reset()
+
+    // Every remote input up to this frame has arrived (no gaps)
+    this.remoteContiguousFrame = -1;
+    // ...and the peer's remoteContiguousFrame, as it last told us (ack)
+    this.peerAck = -1;
 
     // Earliest frame that needs rollback correction (null = no rollback pending)
     this._rollbackTarget = null;
 
-    this.stats = { rollbacks: 0, maxDepth: 0 };
+    // Simulation events, de-duplicated across resimulation (see events.js)
+    this.events = new EventReconciler();
+
+    // Desync detection — see _produceChecksums
+    this.onDesync = null; // callback(desync), on detection and when the peer's dump arrives
+    this._resetChecksums();
+
+    this._resetTimeSync();
+
+    // Stalled at the prediction limit, waiting for remote input
+    this.waiting = false;
+    this.stallFrames = 0; // consecutive stalled ticks
+
+    this.stats = { rollbacks: 0, maxDepth: 0, waits: 0, stalls: 0, checks: 0 };
+
+    this._resetSyncTest();
+  }
+
+  _resetTimeSync() {
+    this.remoteFrame = -1;      // peer's current frame when it sent its newest input
+    this.remoteAdvantage = 0;   // how far ahead of us the peer last measured itself
+    this._advSamples = new Int32Array(C.TIME_SYNC_WINDOW);
+    this._advCount = 0;
+    this._waitsLeft = 0;        // frames still to give up from the last decision
+    this._waitedLast = false;
+  }
+
+  _resetChecksums() {
+    this.checksums = new Map();       // frame → { hash, state, inputs } of recent confirmed frames
+    this.remoteChecksums = new Map(); // frame → peer's hash, until ours is known
+    this._nextChecksumFrame = C.CHECKSUM_INTERVAL;
+    this._remoteDump = null;          // peer's dump, if it noticed the desync first
+    this.desync = null;               // { frame, localHash, remoteHash, local, remote }
   }
 
-  /** Reset for a new match. */
-  reset(initialState) {
+  _resetSyncTest() {
+    this.syncTestFrames = 0;          // rollback depth forced every frame; 0 = off
+    this.syncError = null;            // { frame, what, expectedHash, actualHash, diff }
+    this._syncOriginals = new Map();  // frame → its snapshot as first simulated
+  }
+
+  /**
+   * Reset for a new match. Both peers must use the same inputDelay — the
+   * frame numbers on incoming inputs are interpreted with it.
+   */
+  reset(initialState, inputDelay = C.ROLLBACK_INPUT_DELAY) {
+    this.inputDelay = inputDelay;
     this.localInputs = new InputHistory();
     this.remoteInputs = new InputHistory();
     this.states = new StateHistory();
     this.predictedRemote = new Map();
     this.currentFrame = 0;
     this.lastConfirmedFrame = -1;
+    this.remoteContiguousFrame = -1;
+    this.peerAck = -1;
     this._rollbackTarget = null;
-    this.stats = { rollbacks: 0, maxDepth: 0 };
-
-    // Seed the first INPUT_DELAY frames with empty inputs
+    this.events.reset();
+    this._resetChecksums();
+    this._resetTimeSync();
+    this.waiting = false;
+    this.stallFrames = 0;
+    this.stats = { rollbacks: 0, maxDepth: 0, waits: 0, stalls: 0, checks: 0 };
+    this._resetSyncTest();
+
+    // Seed the first inputDelay frames with empty inputs
     const empty = createEmptyInput();
-    for (let f = 0; f < C.ROLLBACK_INPUT_DELAY; f++) {
+    for (let f = 0; f < inputDelay; f++) {
       this.localInputs.set(f, empty);
       this.remoteInputs.set(f, empty);
     }
+    this._advanceContiguous();
 
     this.states.save(0, initialState);
   }
@@ -116,10 +210,18 @@ export class RollbackManager {
 
   /**
    * Process an incoming redundant-input message from the remote peer.
-   * Message shape: { type:'input', startFrame: N, inputs: [newest … oldest] }
+   * Message shape: { type:'input', startFrame: N, inputs: [newest … oldest], advantage, ack }
    */
   receiveInputs(msg) {
     const inputs = msg.inputs;
+    if (typeof msg.ack === 'number' && msg.ack > this.peerAck) this.peerAck = msg.ack;
+
+    // The sender was on frame startFrame - inputDelay when it sent this
+    const senderFrame = msg.startFrame - this.inputDelay;
+    if (senderFrame > this.remoteFrame) {
+      this.remoteFrame = senderFrame;
+      if (typeof msg.advantage === 'number') this.remoteAdvantage = msg.advantage;
+    }
     for (let i = 0; i < inputs.length; i++) {
       const frame = msg.startFrame - i;
       if (frame < 0) continue;
@@ -145,27 +247,42 @@ export class RollbackManager {
         }
       }
     }
+
+    this._advanceContiguous();
+    this._confirmEvents();
+  }
+
+  _advanceContiguous() {
+    while (this.remoteInputs.get(this.remoteContiguousFrame + 1)) {
+      this.remoteContiguousFrame++;
+    }
   }
 
   // ── Tick ──
 
   /**
-   * Advance one simulation frame. Returns the new gameState, or null if we
-   * can't advance yet (only during the first INPUT_DELAY frames).
+   * Advance one simulation frame. gameState is stepped in place and
+   * returned, or null if we can't advance this tick: stalled at the
+   * prediction limit (`waiting` is set), or in the first inputDelay frames.
    */
   tick(gameState, localRawInput, isHost, sendFn) {
+    // ── 0. Prediction limit — a misprediction on the oldest unconfirmed
+    //       frame must stay within rollback reach, so wait for the peer ──
+    if (this.currentFrame - this.remoteContiguousFrame > C.ROLLBACK_MAX_FRAMES) {
+      this.waiting = true;
+      this.stallFrames++;
+      this.stats.stalls++;
+      // Re-send what we have (no new input — this frame slot didn't happen)
+      this._sendInputs(this.currentFrame + this.inputDelay - 1, sendFn);
+      return null;
+    }
+    this.waiting = false;
+    this.stallFrames = 0;
+
     // ── 1. Store local input at delayed frame and send ──
-    const sendFrame = this.currentFrame + C.ROLLBACK_INPUT_DELAY;
+    const sendFrame = this.currentFrame + this.inputDelay;
     this.localInputs.set(sendFrame, localRawInput);
-
-    const redundant = [];
-    for (let i = 0; i < C.ROLLBACK_INPUT_REDUNDANCY; i++) {
-      const f = sendFrame - i;
-      const inp = this.localInputs.get(f);
-      if (inp) redundant.push(inp);
-      else break;
-    }
-    sendFn({ type: 'input', startFrame: sendFrame, inputs: redundant });
+    this._sendInputs(sendFrame, sendFn);
 
     // ── 2. Do we have our own (delayed) input for currentFrame? ──
     const myInput = this.localInputs.get(this.currentFrame);
@@ -196,33 +313,220 @@ export class RollbackManager {
 
     const p1 = isHost ? myInput : theirInput;
     const p2 = isHost ? theirInput : myInput;
-    gameState = simulateFrame(gameState, p1, p2);
+    stepFrame(gameState, p1, p2);
+    this.events.record(this.currentFrame, gameState.events);
 
     // ── 6. Advance ──
     this.currentFrame++;
 
+    this._confirmEvents();
+
     // Clean up old prediction records
     this._cleanupPredictions();
 
+    this._produceChecksums(sendFn);
+
+    return gameState;
+  }
+
+  /**
+   * Send our inputs up to sendFrame, newest first: the last few always,
+   * plus any older ones the peer hasn't acknowledged, so an input lost in
+   * transit goes out again until it arrives. `ack` tells the peer the same.
+   */
+  _sendInputs(sendFrame, sendFn) {
+    const count = Math.min(
+      Math.max(C.ROLLBACK_INPUT_REDUNDANCY, sendFrame - this.peerAck),
+      C.ROLLBACK_MAX_RESEND
+    );
+    const redundant = [];
+    for (let i = 0; i < count; i++) {
+      const inp = this.localInputs.get(sendFrame - i);
+      if (inp) redundant.push(inp);
+      else break;
+    }
+    const advantage = this.localAdvantage;
+    sendFn({ type: 'input', startFrame: sendFrame, inputs: redundant, advantage, ack: this.remoteContiguousFrame });
+    this._sampleAdvantage(advantage);
+  }
+
+  // ── Desync detection ──
+
+  /**
+   * Every CHECKSUM_INTERVAL frames, once the snapshot for that frame is
+   * final, hash it and send the hash to the peer. Both sides compare the
+   * hashes of the same frame; on a mismatch each side sends its snapshot
+   * and recent inputs so either end can dump both for diffing.
+   */
+  _produceChecksums(sendFn) {
+    // Snapshot f (state at the start of frame f) is final once every input
+    // before f is; it's saved when frame f is simulated
+    const finalFrame = Math.min(this._confirmedFrame() + 1, this.currentFrame - 1);
+
+    while (this._nextChecksumFrame <= finalFrame) {
+      const frame = this._nextChecksumFrame;
+      this._nextChecksumFrame += C.CHECKSUM_INTERVAL;
+
+      const snapshot = this.states.peek(frame);
+      if (!snapshot) continue; // already evicted — skip this one
+
+      const hash = hashState(snapshot);
+      this.checksums.set(frame, { hash, state: cloneState(snapshot), inputs: this._inputDump(frame) });
+      this.checksums.delete(frame - 4 * C.CHECKSUM_INTERVAL);
+      sendFn({ type: 'checksum', frame, hash });
+      this._compareChecksum(frame, sendFn);
+    }
+  }
+
+  /** Peer's checksum for a frame. Message shape: { type:'checksum', frame, hash } */
+  receiveChecksum(msg, sendFn) {
+    this.remoteChecksums.set(msg.frame, msg.hash);
+    this._compareChecksum(msg.frame, sendFn);
+  }
+
+  /** Peer's state + inputs after a mismatch. Message shape: { type:'desyncDump', frame, state, inputs } */
+  receiveDesyncDump(msg) {
+    const dump = { state: msg.state, inputs: msg.inputs };
+    if (this.desync && this.desync.frame === msg.frame) {
+      this.desync.remote = dump;
+      if (this.onDesync) this.onDesync(this.desync);
+    } else {
+      this._remoteDump = { frame: msg.frame, ...dump };
+    }
+  }
+
+  _compareChecksum(frame, sendFn) {
+    const local = this.checksums.get(frame);
+    const remoteHash = this.remoteChecksums.get(frame);
+    if (!local || remoteHash === undefined) return;
+    this.remoteChecksums.delete(frame);
+    this.stats.checks++;
+
+    if (local.hash === remoteHash || this.desync) return;
+
+    // First mismatch — later frames will differ too, only report this one
+    const early = this._remoteDump && this._remoteDump.frame === frame ? this._remoteDump : null;
+    this.desync = {
+      frame,
+      localHash: local.hash,
+      remoteHash,
+      local: { state: local.state, inputs: local.inputs },
+      remote: early && { state: early.state, inputs: early.inputs },
+    };
+    sendFn({ type: 'desyncDump', frame, state: local.state, inputs: local.inputs });
+    if (this.onDesync) this.onDesync(this.desync);
+  }
+
+  /** Local and remote inputs for the DESYNC_DUMP_FRAMES frames before `frame`. */
+  _inputDump(frame) {
+    const dump = { startFrame: Math.max(0, frame - C.DESYNC_DUMP_FRAMES), local: [], remote: [] };
+    for (let f = dump.startFrame; f < frame; f++) {
+      dump.local.push(this.localInputs.get(f));
+      dump.remote.push(this.remoteInputs.get(f));
+    }
+    return dump;
+  }
+
+  // ── SyncTest ──
+
+  /**
+   * Start a SyncTest (GGPO): local play with both players' inputs known up
+   * front, where every frame also rolls back `frames` frames and
+   * resimulates them. Drive it with syncTestTick instead of tick.
+   */
+  startSyncTest(initialState, frames = C.ROLLBACK_MAX_FRAMES) {
+    this.reset(initialState, 0);
+    this.syncTestFrames = Math.max(1, Math.min(C.ROLLBACK_MAX_FRAMES, frames));
+  }
+
+  /**
+   * Step one frame, then force a rollback and resimulate back to it. Each
+   * snapshot saved on the way must hash the same as the first time round
+   * (else the simulation isn't deterministic), and the state we end up in
+   * the same as before the rollback (else something in it isn't restored
+   * from snapshots — e.g. a top-level field missing from copyStateInto).
+   * Returns the stepped state, or null once a mismatch has halted the
+   * test: see `syncError`, which carries a field-level diff.
+   */
+  syncTestTick(gameState, p1Input, p2Input) {
+    if (this.syncError) return null;
+
+    // Both inputs are confirmed as soon as they're known
+    const frame = this.currentFrame;
+    this.localInputs.set(frame, p1Input);
+    this.remoteInputs.set(frame, p2Input);
+    this.lastConfirmedFrame = frame;
+    this._advanceContiguous();
+
+    this.states.save(frame, gameState);
+    this._syncOriginals.set(frame, cloneState(this.states.peek(frame)));
+    this._syncOriginals.delete(frame - this.syncTestFrames);
+
+    stepFrame(gameState, p1Input, p2Input);
+    this.events.record(frame, gameState.events);
+    this.currentFrame++;
+
+    // structuredClone, not cloneState — it must see what snapshots miss
+    const expected = structuredClone(gameState);
+    const target = Math.max(0, this.currentFrame - this.syncTestFrames);
+    this._rollbackTarget = target;
+    gameState = this._performRollback(gameState, true);
+
+    for (let f = target; f < this.currentFrame; f++) {
+      if (!this._syncCheck(f, `snapshot of frame ${f}`, this._syncOriginals.get(f), this.states.peek(f))) return null;
+    }
+    if (!this._syncCheck(frame, `state after frame ${frame}`, expected, gameState)) return null;
+
+    this._confirmEvents();
     return gameState;
   }
 
+  /** Compare a resimulated state with the original; on a mismatch, halt with a diff. */
+  _syncCheck(frame, what, expected, actual) {
+    const expectedHash = hashState(expected);
+    const actualHash = hashState(actual);
+    this.stats.checks++;
+    if (expectedHash === actualHash) return true;
+
+    this.syncError = { frame, what, expectedHash, actualHash, diff: diffState(expected, actual) };
+    return false;
+  }
+
+  // ── Spectator relay ──
+
+  /** Both players' inputs for `frame` as [p1, p2], or null until the remote one has arrived. */
+  inputPair(frame, isHost) {
+    const mine = this.localInputs.get(frame);
+    const theirs = this.remoteInputs.get(frame);
+    if (!mine || !theirs) return null;
+    return isHost ? [mine, theirs] : [theirs, mine];
+  }
+
+  /**
+   * The newest snapshot at or before `maxFrame` that can no longer change,
+   * as { frame, state } (do not modify the state), or null if evicted.
+   */
+  finalSnapshot(maxFrame) {
+    const newest = Math.min(maxFrame, this._confirmedFrame() + 1);
+    for (let f = newest; f >= Math.max(0, newest - C.ROLLBACK_MAX_FRAMES); f--) {
+      const state = this.states.peek(f);
+      if (state) return { frame: f, state };
+    }
+    return null;
+  }
+
   // ── Internal: rollback + resimulate ──
 
   _performRollback(currentGameState, isHost) {
-    let target = this._rollbackTarget;
+    const target = this._rollbackTarget;
     this._rollbackTarget = null;
 
-    // Clamp to max rollback depth
+    // The stall in tick() keeps every mispredicted frame within reach;
+    // anything else is a bug that would desync the match for good
     const depth = this.currentFrame - target;
-    if (depth > C.ROLLBACK_MAX_FRAMES) {
-      target = this.currentFrame - C.ROLLBACK_MAX_FRAMES;
-    }
-
-    const restored = this.states.load(target);
+    const restored = depth <= C.ROLLBACK_MAX_FRAMES && this.states.loadInto(target, currentGameState);
     if (!restored) {
-      // Can't rollback that far — state was evicted. Continue with current.
-      return currentGameState;
+      throw new Error(`Rollback to frame ${target} is out of reach (current frame ${this.currentFrame})`);
     }
 
     this.stats.rollbacks++;
@@ -245,12 +549,28 @@ export class RollbackManager {
 
       const p1 = isHost ? myInput : theirInput;
       const p2 = isHost ? theirInput : myInput;
-      state = simulateFrame(state, p1, p2);
+      stepFrame(state, p1, p2);
+      this.events.record(f, state.events);
     }
 
     return state;
   }
 
+  /**
+   * Frames already simulated with real remote input (and not waiting on a
+   * rollback) can't change any more — release their events as confirmed.
+   */
+  _confirmEvents() {
+    this.events.confirm(this._confirmedFrame());
+  }
+
+  /** Latest frame simulated with real inputs for it and every frame before. */
+  _confirmedFrame() {
+    let frame = Math.min(this.remoteContiguousFrame, this.currentFrame - 1);
+    if (this._rollbackTarget !== null) frame = Math.min(frame, this._rollbackTarget - 1);
+    return frame;
+  }
+
   _cleanupPredictions() {
     // Remove prediction records older than max rollback window
     const cutoff = this.currentFrame - C.ROLLBACK_MAX_FRAMES - 1;
@@ -259,8 +579,53 @@ export class RollbackManager {
     }
   }
 
+  // ── Time sync ──
+
+  /** How many frames our counter is ahead of the peer's, as seen from here. */
+  get localAdvantage() {
+    return this.remoteFrame < 0 ? 0 : this.currentFrame - this.remoteFrame;
+  }
+
+  _sampleAdvantage(local) {
+    this._advSamples[this._advCount % C.TIME_SYNC_WINDOW] = local - this.remoteAdvantage;
+    this._advCount++;
+  }
+
+  /** Averaged drift: positive = we run ahead of the peer by this many frames. */
+  get framesAhead() {
+    const n = Math.min(this._advCount, C.TIME_SYNC_WINDOW);
+    if (n === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += this._advSamples[i];
+    return sum / n / 2;
+  }
+
+  /**
+   * Call once per frame slot before tick(). True means we're ahead and
+   * should skip this slot so the peer can catch up. A full sample window
+   * decides how many frames to give up; they're spread over alternate
+   * slots, then sampling starts over so the next decision sees the effect.
+   */
+  shouldWait() {
+    if (this._waitsLeft > 0) {
+      this._waitedLast = !this._waitedLast;
+      if (!this._waitedLast) return false;
+      if (--this._waitsLeft === 0) this._advCount = 0;
+      this.stats.waits++;
+      return true;
+    }
+
+    if (this._advCount < C.TIME_SYNC_WINDOW) return false;
+    const ahead = Math.floor(this.framesAhead);
+    if (ahead < C.TIME_SYNC_MIN_AHEAD) return false;
+
+    this._waitsLeft = Math.min(ahead, C.TIME_SYNC_MAX_WAIT);
+    this._waitedLast = false;
+    return this.shouldWait();
+  }
+
   /** Frames of prediction ahead of last confirmed remote input. */
   get predictionDepth() {
-    return Math.max(0, this.currentFrame - this.lastConfirmedFrame - 1);
+    return Math.max(0, this.currentFrame - this.remoteContiguousFrame - 1);
   }
 }
@@ -0,0 +1,144 @@
+/**
+ * Signaling client — talks to server/signaling.mjs so players can connect
+ * with a short room code instead of pasting SDP blobs.
+ *
+ * The host calls hostRoom() and reads out the code; the guest calls
+ * joinRoom(code). From then on send() and onSignal carry whatever the
+ * NetworkManager needs to exchange (descriptions and ICE candidates).
+ */
+import * as C from './constants.js';
+
+/** Default server: same machine that served the page. */
+export function defaultSignalingUrl() {
+  const host = location.hostname || 'localhost';
+  return `ws://${host}:${C.SIGNALING_PORT}`;
+}
+
+/**
+ * Whether a server address is on this machine or the local network
+ * (loopback, private IPv4 ranges, link-local, .local names). Players who
+ * both reach such a server share that network, so their local addresses
+ * connect without STUN — and an offline LAN has no STUN to reach.
+ */
+export function isLocalServer(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  return host === 'localhost' || host === '::1' || host.endsWith('.local') ||
+    /^(127\.|10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host) ||
+    (host.includes(':') && /^f[cde]/i.test(host));
+}
+
+export class SignalingClient {
+  constructor() {
+    this.ws = null;
+    this.code = null;
+
+    /** (data) => void — a signal from the other peer */
+    this.onSignal = null;
+    /** () => void — host: the guest joined the room */
+    this.onPeerJoined = null;
+    /** () => void — the other peer left the room */
+    this.onPeerLeft = null;
+    /** () => void — lost the connection to the server */
+    this.onClose = null;
+
+    this._pending = null; // { resolve, reject } of hostRoom / joinRoom
+  }
+
+  /** Open the server connection. Resolves once connected. */
+  connect(url) {
+    this.close();
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      this.ws = ws;
+      ws.onopen = () => resolve();
+      ws.onerror = () => reject(new Error(`Can't reach signaling server at ${url}`));
+      ws.onclose = () => {
+        if (this.ws !== ws) return;
+        this.ws = null;
+        this._settle(new Error('Signaling server closed the connection'));
+        this.onClose?.();
+      };
+      ws.onmessage = (e) => {
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch {
+          return; // ignore malformed
+        }
+        this._handle(msg);
+      };
+    });
+  }
+
+  /** Host: open a room. Resolves with its code. */
+  hostRoom() {
+    return this._request({ type: 'host' });
+  }
+
+  /** Guest: join a room by code. Resolves once in. */
+  joinRoom(code) {
+    return this._request({ type: 'join', code });
+  }
+
+  /** Forward data to the other peer in the room. */
+  send(data) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'signal', data }));
+    }
+  }
+
+  close() {
+    const ws = this.ws;
+    this.ws = null;
+    this.code = null;
+    ws?.close();
+  }
+
+  // ─── Internals ───────────────────────────────────────────
+
+  _request(msg) {
+    return new Promise((resolve, reject) => {
+      if (this.ws?.readyState !== WebSocket.OPEN) {
+        reject(new Error('Not connected to a signaling server'));
+        return;
+      }
+      this._pending = { resolve, reject };
+      this.ws.send(JSON.stringify(msg));
+    });
+  }
+
+  _settle(err, value) {
+    const pending = this._pending;
+    this._pending = null;
+    if (!pending) return;
+    if (err) pending.reject(err);
+    else pending.resolve(value);
+  }
+
+  _handle(msg) {
+    switch (msg.type) {
+      case 'room':
+      case 'joined':
+        this.code = msg.code;
+        this._settle(null, msg.code);
+        break;
+      case 'error':
+        this._settle(new Error(msg.message));
+        break;
+      case 'peerJoined':
+        this.onPeerJoined?.();
+        break;
+      case 'peerLeft':
+        this.onPeerLeft?.();
+        break;
+      case 'signal':
+        this.onSignal?.(msg.data);
+        break;
+    }
+  }
+}
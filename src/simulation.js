@@ -1,61 +1,155 @@
 /**
  * Pure, deterministic game simulation.
  * Takes a state + two input snapshots, returns the next state.
- * No side effects — suitable for rollback netcode.
+ * No side effects — suitable for rollback netcode. stepFrame is the
+ * in-place variant for hot paths (rollback, local play) that own their state.
+ *
+ * All positions and speeds are fixed-point integers (see fixed.js);
+ * pixel constants are converted with fx() at the point of use.
  */
 import * as C from './constants.js';
-import { cloneState } from './state.js';
+import { cloneState, createPlayerState } from './state.js';
+import { getWeapon } from './weapons/index.js';
+import { fx } from './fixed.js';
+import { bodyHeight, bodyOverlaps, bodyCenter } from './combat.js';
+import { emitEvent } from './events.js';
+
+// Arena bounds for a player's left edge, in fixed-point units
+const MIN_X = fx(C.ARENA_LEFT);
+const MAX_X = fx(C.ARENA_RIGHT - C.PLAYER_WIDTH);
+const PLAYER_W = fx(C.PLAYER_WIDTH);
+
+const WEAPON_KEYS = ['weapon1', 'weapon2', 'weapon3'];
 
 // ─── Public API ──────────────────────────────────────────────
 
 export function simulateFrame(state, p1Input, p2Input) {
-  const s = cloneState(state);
-  const inputs = [p1Input, p2Input];
+  return stepFrame(cloneState(state), p1Input, p2Input);
+}
+
+/** Advance `s` by one frame in place and return it. */
+export function stepFrame(s, p1Input, p2Input) {
+  s.events.length = 0;
 
   if (s.winner !== -1) return s;
 
-  // Hitstop — freeze gameplay but still advance frame counter
+  // Round intro / round end — freeze gameplay, only the phase clock runs.
+  // Inputs are still recorded so a button held through the freeze
+  // doesn't count as a fresh press on the first fighting frame.
+  if (s.phase !== 'fight') {
+    updatePhase(s);
+    recordInputs(s, p1Input, p2Input);
+    s.frame++;
+    return s;
+  }
+
+  // Hitstop — freeze gameplay but still advance frame counter. Weapon
+  // presses made during the freeze are buffered, not lost; the buffer
+  // window doesn't run until the freeze is over.
   if (s.hitstop > 0) {
     s.hitstop--;
+    bufferPress(s, 0, p1Input);
+    bufferPress(s, 1, p2Input);
+    recordWeaponKeys(s, p1Input, p2Input);
     s.frame++;
     return s;
   }
 
-  for (let i = 0; i < 2; i++) updatePlayer(s, i, inputs[i]);
+  updatePlayer(s, 0, p1Input);
+  updatePlayer(s, 1, p2Input);
+  updatePushback(s);
   resolvePlayerCollision(s);
+  updateEffects(s);
   updateProjectiles(s);
+  checkProjectileClashes(s);
   checkMeleeHits(s);
   checkProjectileHits(s);
-  checkWin(s);
+  checkRoundOver(s);
 
-  s.projectiles = s.projectiles.filter(p => p.active);
-  s.prevInputs = [{ ...p1Input }, { ...p2Input }];
+  removeInactive(s.projectiles);
+  recordInputs(s, p1Input, p2Input);
   s.frame++;
   return s;
 }
 
+function recordInputs(state, p1Input, p2Input) {
+  Object.assign(state.prevInputs[0], p1Input);
+  Object.assign(state.prevInputs[1], p2Input);
+}
+
+/**
+ * Hitstop: only the weapon keys, so a weapon held through the freeze
+ * isn't a fresh press every frame — other keys (jump) keep the edge they
+ * had when the freeze began.
+ */
+function recordWeaponKeys(state, p1Input, p2Input) {
+  for (const key of WEAPON_KEYS) {
+    state.prevInputs[0][key] = p1Input[key];
+    state.prevInputs[1][key] = p2Input[key];
+  }
+}
+
+/** Drop inactive projectiles without allocating a new array. */
+function removeInactive(list) {
+  let n = 0;
+  for (let i = 0; i < list.length; i++) {
+    if (list[i].active) list[n++] = list[i];
+  }
+  list.length = n;
+}
+
+// ─── Match Flow ──────────────────────────────────────────────
+
+function updatePhase(state) {
+  if (state.phaseTimer > 0) state.phaseTimer--;
+  if (state.phaseTimer > 0) return;
+
+  if (state.phase === 'intro') {
+    state.phase = 'fight';
+  } else if (state.phase === 'roundEnd') {
+    startNextRound(state);
+  }
+}
+
+function startNextRound(state) {
+  state.round++;
+  state.players = state.players.map((p, i) => createPlayerState(i, p.weapons));
+  state.projectiles = [];
+  state.effects = [];
+  state.roundTimer = C.ROUND_TIME_FRAMES;
+  state.hitstop = 0;
+  state.phase = 'intro';
+  state.phaseTimer = C.ROUND_INTRO_FRAMES;
+}
+
 // ─── Player Update ───────────────────────────────────────────
 
 function updatePlayer(state, idx, input) {
   const p = state.players[idx];
+  const prev = state.prevInputs[idx];
 
   // Tick state timer
   if (p.stateTimer > 0) {
     p.stateTimer--;
-    if (p.stateTimer === 0 && (p.state === 'attacking' || p.state === 'hitstun' || p.state === 'blockstun')) {
-      p.state = 'idle';
-      p.activeWeapon = null;
-      p.attackSpawned = false;
+    if (p.stateTimer === 0 && p.state !== 'idle') {
+      returnToIdle(p);
     }
   }
 
+  // Parry window — counts up from the last stance change
+  if (p.stanceAge < C.PARRY_WINDOW_FRAMES) p.stanceAge++;
+
   const canAct = (p.state === 'idle' || p.state === 'attacking');
 
   // Movement — allowed when idle or attacking (not during hitstun/blockstun)
   if (canAct) {
-    // Stance — only changeable when idle (locked during attack)
-    if (p.state === 'idle') {
-      p.stance = input.crouch ? 'crouching' : 'standing';
+    // Stance — only changeable when idle on the ground (locked during attack)
+    if (p.state === 'idle' && !p.airborne) {
+      const stance = input.crouch ? 'crouching' : 'standing';
+      if (stance !== p.stance) {
+        p.stance = stance;
+        p.stanceAge = 0;
+      }
     }
 
     let dx = 0;
@@ -67,33 +161,52 @@ function updatePlayer(state, idx, input) {
       if (p.state === 'idle') {
         p.facing = dx;
       }
-      if (p.stance === 'standing') {
-        p.x += dx * C.MOVE_SPEED;
-        p.x = Math.max(C.ARENA_LEFT, Math.min(C.ARENA_RIGHT - C.PLAYER_WIDTH, p.x));
+      // Air control is slower than walking; crouching locks ground movement
+      if (p.airborne) {
+        p.x += dx * fx(C.AIR_MOVE_SPEED);
+      } else if (p.stance === 'standing') {
+        p.x += dx * fx(C.MOVE_SPEED);
       }
+      clampToArena(p);
     }
   }
 
-  // Attacks — only when idle, on rising edge (press, not hold)
-  if (p.state === 'idle') {
-    const prev = state.prevInputs[idx];
-    for (let w = 0; w < 3; w++) {
-      const key = `weapon${w + 1}`;
-      if (input[key] && !prev[key]) {
-        tryAttack(state, idx, p.weapons[w]);
-        break;
-      }
+  // Jump — idle on the ground, on rising edge
+  if (p.state === 'idle' && !p.airborne && input.jump && !prev.jump) {
+    p.airborne = true;
+    p.vy = fx(C.JUMP_VELOCITY);
+    p.stance = 'standing';
+  }
+
+  updateAirborne(p);
+
+  // Attacks — on rising edge (press, not hold), through the input buffer:
+  // the latest press fires on the first idle frame within the window
+  bufferPress(state, idx, input);
+  if (p.bufferedWeapon >= 0) {
+    if (p.state === 'idle' && tryAttack(state, idx, p.weapons[p.bufferedWeapon], input)) {
+      p.bufferedWeapon = -1;
+      p.bufferTimer = 0;
+    } else if (p.bufferTimer > 0) {
+      p.bufferTimer--;
+    } else {
+      p.bufferedWeapon = -1;
     }
   }
 
   // Spawn projectile at the right moment in the attack animation
   if (p.state === 'attacking' && !p.attackSpawned && p.activeWeapon) {
-    const wDef = C.WEAPON_DEFS[p.activeWeapon];
-    if (wDef && wDef.type === 'projectile') {
-      const elapsed = wDef.attackFrames - p.stateTimer;
-      if (elapsed >= wDef.projectileSpawnFrame) {
-        spawnProjectile(state, idx);
+    const weapon = getWeapon(p.activeWeapon);
+    if (weapon && weapon.def.type === 'projectile') {
+      const elapsed = weapon.def.attackFrames - p.stateTimer;
+      if (elapsed >= weapon.def.projectileSpawnFrame) {
+        const count = state.projectiles.length;
+        weapon.spawn(state, idx);
         p.attackSpawned = true;
+        if (state.projectiles.length > count) {
+          const proj = state.projectiles[count];
+          emitEvent(state, 'spawn', { player: idx, weapon: proj.weapon, x: proj.x, y: proj.y });
+        }
       }
     }
   }
@@ -105,12 +218,15 @@ function resolvePlayerCollision(state) {
   const a = state.players[0];
   const b = state.players[1];
 
-  const aRight = a.x + C.PLAYER_WIDTH;
-  const bRight = b.x + C.PLAYER_WIDTH;
+  const aRight = a.x + PLAYER_W;
+  const bRight = b.x + PLAYER_W;
 
   // No overlap — nothing to do
   if (aRight <= b.x || bRight <= a.x) return;
 
+  // One player is clear above the other — jumping over is allowed
+  if (!bodyOverlaps(b, a.y, a.y + bodyHeight(a))) return;
+
   // Push apart equally from center of overlap
   const overlap = Math.min(aRight - b.x, bRight - a.x);
   const half = Math.ceil(overlap / 2);
@@ -124,109 +240,114 @@ function resolvePlayerCollision(state) {
   }
 
   // Clamp to arena — if one is against a wall, the other absorbs all push
-  for (const p of [a, b]) {
-    if (p.x < C.ARENA_LEFT) {
-      const correction = C.ARENA_LEFT - p.x;
-      p.x = C.ARENA_LEFT;
-      const other = (p === a) ? b : a;
-      other.x += correction;
-    }
-    if (p.x > C.ARENA_RIGHT - C.PLAYER_WIDTH) {
-      const correction = p.x - (C.ARENA_RIGHT - C.PLAYER_WIDTH);
-      p.x = C.ARENA_RIGHT - C.PLAYER_WIDTH;
-      const other = (p === a) ? b : a;
-      other.x -= correction;
-    }
-  }
+  b.x += clampToArena(a);
+  a.x += clampToArena(b);
 
   // Final clamp for safety
-  a.x = Math.max(C.ARENA_LEFT, Math.min(C.ARENA_RIGHT - C.PLAYER_WIDTH, a.x));
-  b.x = Math.max(C.ARENA_LEFT, Math.min(C.ARENA_RIGHT - C.PLAYER_WIDTH, b.x));
+  clampToArena(a);
+  clampToArena(b);
 }
 
-function tryAttack(state, idx, weaponId) {
-  const p = state.players[idx];
-  const wDef = C.WEAPON_DEFS[weaponId];
-  if (!wDef) return;
-
-  // Ammo check for boomerangs
-  if (wDef.subtype === 'boomerang' && p.boomerangsHeld <= 0) return;
-
-  p.state = 'attacking';
-  p.stateTimer = wDef.attackFrames;
-  p.activeWeapon = weaponId;
-  p.attackStance = p.stance;
-  p.attackSpawned = false;
+/**
+ * Clamp a player inside the arena walls.
+ * Returns the signed correction applied to p.x (0 if already inside),
+ * so callers can hand the blocked movement to the other player.
+ */
+function clampToArena(p) {
+  const clamped = Math.max(MIN_X, Math.min(MAX_X, p.x));
+  const correction = clamped - p.x;
+  p.x = clamped;
+  return correction;
 }
 
-// ─── Projectile Spawning ─────────────────────────────────────
-
-function spawnProjectile(state, idx) {
-  const p = state.players[idx];
-  const wDef = C.WEAPON_DEFS[p.activeWeapon];
-  const spawnX = p.x + (p.facing === 1 ? C.PLAYER_WIDTH : 0);
+/**
+ * Knockback / block pushback — slides the player a fixed distance over
+ * several frames (see applyDamage/applyBlock in combat.js). A cornered
+ * player can't move, so the wall hands the rest of the push to the
+ * attacker instead and spacing still resets.
+ */
+function updatePushback(state) {
+  for (const p of state.players) {
+    if (p.pushRemaining <= 0) continue;
+
+    const step = Math.min(p.pushSpeed, p.pushRemaining);
+    p.pushRemaining -= step;
+    p.x += p.pushDir * step;
+
+    const correction = clampToArena(p);
+    if (correction !== 0 && p.pushFrom !== -1) {
+      const atk = state.players[p.pushFrom];
+      atk.x += correction;
+      clampToArena(atk);
+    }
+  }
+}
 
-  if (wDef.subtype === 'boomerang') {
-    if (p.boomerangsHeld <= 0) return;
-    p.boomerangsHeld--;
+/** Gravity and landing. Vertical motion continues through hitstun/blockstun. */
+function updateAirborne(p) {
+  if (!p.airborne) return;
 
-    let path;
-    if (p.attackStance === 'crouching') {
-      path = (p.crouchThrowCount % 2 === 0) ? 1 : 2;
-      p.crouchThrowCount++;
-    } else {
-      path = (p.standThrowCount % 2 === 0) ? 3 : 4;
-      p.standThrowCount++;
-    }
+  p.y += p.vy;
+  p.vy -= fx(C.GRAVITY);
 
-    state.projectiles.push({
-      type: 'boomerang',
-      owner: idx,
-      x: spawnX,
-      y: boomerangStartY(path),
-      direction: p.facing,
-      speed: wDef.speed,
-      damage: wDef.damage,
-      flightPath: path,
-      phase: 'outbound',
-      distanceTraveled: 0,
-      height: boomerangOutboundHeight(path),
-      active: true,
-    });
-  } else if (wDef.subtype === 'knife') {
-    const isLow = p.attackStance === 'crouching';
-    state.projectiles.push({
-      type: 'knife',
-      owner: idx,
-      x: spawnX,
-      y: isLow ? C.ANKLE_Y : C.HEAD_Y,
-      direction: p.facing,
-      speed: wDef.speed,
-      damage: wDef.damage,
-      height: isLow ? 'ankle' : 'head',
-      active: true,
-    });
+  if (p.y <= 0) {
+    p.y = 0;
+    p.vy = 0;
+    p.airborne = false;
+    // A down-thrust lasts until touchdown
+    if (p.state === 'attacking' && p.attackKind === 'downthrust') returnToIdle(p);
   }
 }
 
-function boomerangStartY(path) {
-  return (path <= 2) ? C.ANKLE_Y : C.HEAD_Y;
+/** Remember a player's weapon press this frame, replacing any older one. */
+function bufferPress(state, idx, input) {
+  const p = state.players[idx];
+  const prev = state.prevInputs[idx];
+  for (let w = 0; w < 3; w++) {
+    const key = WEAPON_KEYS[w];
+    if (input[key] && !prev[key]) {
+      p.bufferedWeapon = w;
+      p.bufferTimer = state.rules.inputBuffer;
+      return;
+    }
+  }
 }
 
-function boomerangOutboundHeight(path) {
-  // Paths 1 & 4 arc out of play (no collision on outbound)
-  if (path === 1 || path === 4) return 'none';
-  return (path === 2) ? 'ankle' : 'head';
+function returnToIdle(p) {
+  p.state = 'idle';
+  p.stateTimer = 0;
+  p.activeWeapon = null;
+  p.attackKind = 'normal';
+  p.attackSpawned = false;
+  p.attackHitMask = 0;
 }
 
-function boomerangReturnHeight(path) {
-  // 1→ankle, 2→head, 3→ankle, 4→head
-  return (path === 1 || path === 3) ? 'ankle' : 'head';
-}
+/** Start an attack with `weaponId` if the player can; returns whether it started. */
+function tryAttack(state, idx, weaponId, input) {
+  const p = state.players[idx];
+  const weapon = getWeapon(weaponId);
+  if (!weapon) return false;
+
+  // Weapon-specific gate (e.g. boomerang ammo)
+  if (weapon.canAttack && !weapon.canAttack(p)) return false;
+
+  // In the air: melee only. Crouch = down-thrust, jump (up) = up-thrust.
+  let kind = 'normal';
+  if (p.airborne) {
+    if (weapon.def.type !== 'melee') return false;
+    if (input.crouch) kind = 'downthrust';
+    else if (input.jump) kind = 'upthrust';
+  }
 
-function boomerangReturnY(path) {
-  const h = boomerangReturnHeight(path);
-  return h === 'ankle' ? C.ANKLE_Y : C.HEAD_Y;
+  p.state = 'attacking';
+  // Down-thrust has no timer — it ends on landing (see updateAirborne)
+  p.stateTimer = kind === 'downthrust' ? 0 : weapon.def.attackFrames;
+  p.activeWeapon = weaponId;
+  p.attackKind = kind;
+  p.attackStance = p.stance;
+  p.attackSpawned = false;
+  p.attackHitMask = 0;
+  return true;
 }
 
 // ─── Projectile Update ───────────────────────────────────────
@@ -234,54 +355,60 @@ function boomerangReturnY(path) {
 function updateProjectiles(state) {
   for (const proj of state.projectiles) {
     if (!proj.active) continue;
+    getWeapon(proj.weapon).update(state, proj);
+  }
+}
+
+// ─── Projectile Clashes ──────────────────────────────────────
 
-    if (proj.type === 'knife') {
-      proj.x += proj.direction * proj.speed;
-      if (proj.x < -50 || proj.x > C.CANVAS_WIDTH + 50) proj.active = false;
-    } else if (proj.type === 'boomerang') {
-      updateBoomerang(state, proj);
+/**
+ * Opposing projectiles at the same height cancel or beat each other.
+ * The outcome comes from the weapons' `clash` tables (default: trade).
+ */
+function checkProjectileClashes(state) {
+  const projs = state.projectiles;
+  for (let i = 0; i < projs.length; i++) {
+    const a = projs[i];
+    if (!a.active || a.height === 'none') continue;
+
+    for (let j = i + 1; j < projs.length; j++) {
+      const b = projs[j];
+      if (!b.active || b.owner === a.owner || b.height !== a.height) continue;
+      if (Math.abs(a.x - b.x) > fx(C.PROJECTILE_CLASH_DISTANCE)) continue;
+
+      const result = clashResult(a, b);
+      if (result !== 'win') a.active = false;
+      if (result !== 'lose') b.active = false;
+
+      const x = (a.x + b.x) >> 1;
+      const y = (a.y + b.y) >> 1;
+      state.hitstop = C.HITSTOP_CLASH;
+      state.effects.push({ kind: 'clash', x, y, timer: C.CLASH_EFFECT_FRAMES });
+      emitEvent(state, 'clash', { weapon: `${a.weapon}/${b.weapon}`, x, y });
+      if (!a.active) break;
     }
   }
 }
 
-function updateBoomerang(state, proj) {
-  proj.x += proj.direction * proj.speed;
-  proj.distanceTraveled += proj.speed;
-
-  if (proj.phase === 'outbound') {
-    // Visual y for arcing paths
-    const t = proj.distanceTraveled / C.BOOMERANG_RANGE;
-    if (proj.flightPath === 1) {
-      proj.y = C.ANKLE_Y + C.BOOMERANG_ARC_AMPLITUDE * Math.sin(Math.PI * t);
-      proj.height = 'none';
-    } else if (proj.flightPath === 4) {
-      proj.y = C.HEAD_Y - C.BOOMERANG_ARC_AMPLITUDE * Math.sin(Math.PI * t);
-      proj.height = 'none';
-    }
-    // Paths 2 & 3 keep their initial y and height (set at spawn)
-
-    if (proj.distanceTraveled >= C.BOOMERANG_RANGE) {
-      proj.phase = 'returning';
-      proj.direction *= -1;
-      proj.distanceTraveled = 0;
-      proj.height = boomerangReturnHeight(proj.flightPath);
-      proj.y = boomerangReturnY(proj.flightPath);
-    }
-  } else {
-    // Returning — fixed y/height (set when phase switched)
-    // Check catch by owner
-    const owner = state.players[proj.owner];
-    const ownerCX = owner.x + C.PLAYER_WIDTH / 2;
-    if (Math.abs(proj.x - ownerCX) < 28) {
-      proj.active = false;
-      owner.boomerangsHeld = Math.min(owner.boomerangsHeld + 1, C.BOOMERANG_MAX);
-      return;
-    }
+/** 'win' | 'lose' | 'trade' from a's point of view. */
+function clashResult(a, b) {
+  const mine = getWeapon(a.weapon).clash;
+  if (mine && mine[b.weapon]) return mine[b.weapon];
 
-    if (proj.x < -50 || proj.x > C.CANVAS_WIDTH + 50) {
-      proj.active = false;
-    }
+  const theirs = getWeapon(b.weapon).clash;
+  const r = theirs && theirs[a.weapon];
+  if (r === 'win') return 'lose';
+  if (r === 'lose') return 'win';
+  return 'trade';
+}
+
+function updateEffects(state) {
+  const effects = state.effects;
+  let n = 0;
+  for (let i = 0; i < effects.length; i++) {
+    if (--effects[i].timer > 0) effects[n++] = effects[i];
   }
+  effects.length = n;
 }
 
 // ─── Hit Detection ───────────────────────────────────────────
@@ -291,25 +418,8 @@ function checkMeleeHits(state) {
     const atk = state.players[i];
     if (atk.state !== 'attacking') continue;
 
-    const wDef = C.WEAPON_DEFS[atk.activeWeapon];
-    if (!wDef || wDef.type !== 'melee') continue;
-
-    const elapsed = wDef.attackFrames - atk.stateTimer;
-    // Only register hit on first active frame (prevents multi-hit)
-    if (elapsed !== wDef.activeStart) continue;
-
-    const def = state.players[1 - i];
-    if (def.state === 'hitstun') continue; // can't hit during hitstun
-
-    // Range check — attack extends from attacker's front edge
-    const atkEdge = atk.x + (atk.facing === 1 ? C.PLAYER_WIDTH : 0);
-    const defNear = atk.facing === 1 ? def.x : def.x + C.PLAYER_WIDTH;
-    const dist = (defNear - atkEdge) * atk.facing;
-
-    if (dist < -C.PLAYER_WIDTH || dist > wDef.range) continue;
-
-    const attackHeight = atk.attackStance === 'standing' ? 'high' : 'low';
-    resolveHit(state, i, 1 - i, attackHeight, wDef.damage);
+    const weapon = getWeapon(atk.activeWeapon);
+    if (weapon && weapon.checkHit) weapon.checkHit(state, i);
   }
 }
 
@@ -324,94 +434,51 @@ function checkProjectileHits(state) {
       if (def.state === 'hitstun') continue;
 
       // X overlap
-      if (proj.x < def.x || proj.x > def.x + C.PLAYER_WIDTH) continue;
-
-      if (proj.height === 'head') {
-        // Head-level: passes over crouching players entirely
-        if (def.stance === 'crouching') continue;
-
-        // Standing player — check shield
-        if (isFacingProjectile(def, proj)) {
-          // Blocked (standing shield = high, blocks head-level)
-          proj.active = false;
-          def.state = 'blockstun';
-          def.stateTimer = C.BLOCKSTUN_FRAMES;
-          state.hitstop = C.HITSTOP_BLOCK;
-        } else {
-          proj.active = false;
-          applyDamage(state, i, proj.damage);
-        }
-      } else if (proj.height === 'ankle') {
-        if (def.stance === 'standing') {
-          // Standing shield is high — can't block ankle
-          proj.active = false;
-          applyDamage(state, i, proj.damage);
-        } else {
-          // Crouching — check shield (low shield blocks ankle)
-          if (isFacingProjectile(def, proj)) {
-            proj.active = false;
-            def.state = 'blockstun';
-            def.stateTimer = C.BLOCKSTUN_FRAMES;
-            state.hitstop = C.HITSTOP_BLOCK;
-          } else {
-            proj.active = false;
-            applyDamage(state, i, proj.damage);
-          }
-        }
-      }
+      if (proj.x < def.x || proj.x > def.x + PLAYER_W) continue;
+
+      getWeapon(proj.weapon).hit(state, proj, i);
       break; // projectile can only hit one player
     }
   }
 }
 
-/**
- * Resolve a melee hit — checks blocking rules.
- * attackHeight: 'high' | 'low'
- */
-function resolveHit(state, atkIdx, defIdx, attackHeight, damage) {
-  const atk = state.players[atkIdx];
-  const def = state.players[defIdx];
-
-  // Is defender facing the attacker?
-  const defCX = def.x + C.PLAYER_WIDTH / 2;
-  const atkCX = atk.x + C.PLAYER_WIDTH / 2;
-  const facingAttacker =
-    (def.facing === 1 && atkCX > defCX) ||
-    (def.facing === -1 && atkCX < defCX);
-
-  // Shield blocks if facing attacker AND shield height matches attack height
-  const shieldHigh = def.stance === 'standing';
-  const blocked = facingAttacker && (
-    (attackHeight === 'high' && shieldHigh) ||
-    (attackHeight === 'low' && !shieldHigh)
-  );
-
-  if (blocked) {
-    def.state = 'blockstun';
-    def.stateTimer = C.BLOCKSTUN_FRAMES;
-    state.hitstop = C.HITSTOP_BLOCK;
-  } else {
-    applyDamage(state, defIdx, damage);
+function checkRoundOver(state) {
+  const [a, b] = state.players;
+  const p1Dead = a.hp <= 0;
+  const p2Dead = b.hp <= 0;
+
+  if (p1Dead || p2Dead) {
+    for (let i = 0; i < 2; i++) {
+      if (state.players[i].hp <= 0) emitEvent(state, 'ko', { player: i, ...bodyCenter(state.players[i]) });
+    }
+    if (p1Dead && p2Dead) endRound(state, 2, 'ko');
+    else endRound(state, p1Dead ? 1 : 0, 'ko');
+    return;
   }
-}
 
-function isFacingProjectile(defender, proj) {
-  // Defender faces against the projectile's travel direction to block it
-  return defender.facing === -proj.direction;
-}
+  state.roundTimer--;
+  if (state.roundTimer > 0) return;
 
-function applyDamage(state, playerIdx, damage) {
-  const p = state.players[playerIdx];
-  p.hp = Math.max(0, p.hp - damage);
-  p.state = 'hitstun';
-  p.stateTimer = C.HITSTUN_FRAMES;
-  state.hitstop = C.HITSTOP_HIT;
+  // Time-out — remaining HP decides the round
+  if (a.hp === b.hp) endRound(state, 2, 'timeout');
+  else endRound(state, a.hp > b.hp ? 0 : 1, 'timeout');
 }
 
-function checkWin(state) {
-  const p1Dead = state.players[0].hp <= 0;
-  const p2Dead = state.players[1].hp <= 0;
-  if (p1Dead && p2Dead) state.winner = 2;
-  else if (p1Dead) state.winner = 1;
-  else if (p2Dead) state.winner = 0;
+/** roundWinner: 0/1 = player, 2 = draw (both players score the round). */
+function endRound(state, roundWinner, reason) {
+  if (roundWinner === 0 || roundWinner === 2) state.roundWins[0]++;
+  if (roundWinner === 1 || roundWinner === 2) state.roundWins[1]++;
+  if (roundWinner === 2) state.roundDraws++;
+  state.roundWinner = roundWinner;
+  state.roundEndReason = reason;
+
+  const need = state.rules.roundsToWin;
+  const p1Won = state.roundWins[0] >= need;
+  const p2Won = state.roundWins[1] >= need;
+  if (p1Won && p2Won) state.winner = 2;
+  else if (p1Won) state.winner = 0;
+  else if (p2Won) state.winner = 1;
+
+  state.phase = 'roundEnd';
+  state.phaseTimer = C.ROUND_END_FRAMES;
 }
@@ -0,0 +1,131 @@
+/**
+ * Spectating — the host relays the match to extra peers, who replay it.
+ *
+ * Host side, SpectatorFeed: the inputs of both players become final once
+ * the remote one has arrived, so after every tick collect() packs the
+ * frames not yet relayed into one message. A spectator joining mid-match
+ * first gets joinMessage(): a final state snapshot plus the relayed inputs
+ * after it.
+ *
+ *   spectate         { frame, state, inputs }        start (or join) at `frame`
+ *   spectateInputs   { startFrame, inputs }          inputs = [[p1, p2], …] oldest first
+ *   spectateWeapons  { weapons: [p1, p2], bestOf }   loadouts, once both players picked
+ *
+ * Spectator side, SpectatorSession: buffers the input pairs and steps its
+ * own copy of the state SPECTATOR_DELAY_FRAMES behind the newest one.
+ * Inputs are final, so there is no prediction and no rollback.
+ */
+import * as C from './constants.js';
+import { stepFrame } from './simulation.js';
+
+// ─── Host: Feed ──────────────────────────────────────────────
+
+export class SpectatorFeed {
+  constructor() {
+    this.reset();
+  }
+
+  /** New match — the relay starts over at frame 0. */
+  reset() {
+    this.nextFrame = 0; // first frame not yet relayed
+  }
+
+  /** Inputs confirmed since the last call, as a spectateInputs message, or null. */
+  collect(rollbackManager, isHost) {
+    const startFrame = this.nextFrame;
+    const inputs = [];
+    while (this.nextFrame < rollbackManager.currentFrame) {
+      const pair = rollbackManager.inputPair(this.nextFrame, isHost);
+      if (!pair) break;
+      inputs.push(pair);
+      this.nextFrame++;
+    }
+    return inputs.length ? { type: 'spectateInputs', startFrame, inputs } : null;
+  }
+
+  /**
+   * Snapshot for a spectator joining now: the newest final state at or
+   * before the relay position, plus the already-relayed inputs after it,
+   * so the feed carries on seamlessly. Null if no snapshot is available.
+   */
+  joinMessage(rollbackManager, isHost) {
+    const snap = rollbackManager.finalSnapshot(this.nextFrame);
+    if (!snap) return null;
+
+    const inputs = [];
+    for (let f = snap.frame; f < this.nextFrame; f++) {
+      inputs.push(rollbackManager.inputPair(f, isHost));
+    }
+    return { type: 'spectate', frame: snap.frame, state: snap.state, inputs };
+  }
+}
+
+// ─── Spectator: Session ──────────────────────────────────────
+
+export class SpectatorSession {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.state = null;
+    this.frame = 0;          // next frame to simulate
+    this.newestFrame = -1;   // newest frame with inputs received
+    this.inputs = new Map(); // frame → [p1, p2]
+    this.buffering = true;   // waiting for SPECTATOR_DELAY_FRAMES of input
+  }
+
+  /** A spectate message: (re)start from its snapshot. */
+  start(msg) {
+    this.reset();
+    this.state = msg.state;
+    this.frame = msg.frame;
+    this.receiveInputs({ startFrame: msg.frame, inputs: msg.inputs });
+  }
+
+  /** A spectateInputs message (or the inputs of a spectate message). */
+  receiveInputs(msg) {
+    if (!this.state) return; // joined between matches — wait for the next start
+    for (let i = 0; i < msg.inputs.length; i++) {
+      const frame = msg.startFrame + i;
+      if (frame < this.frame) continue;
+      this.inputs.set(frame, msg.inputs[i]);
+      if (frame > this.newestFrame) this.newestFrame = frame;
+    }
+  }
+
+  /** Frames of input received but not yet simulated. */
+  get buffered() {
+    return Math.max(0, this.newestFrame - this.frame + 1);
+  }
+
+  /** Playback fell far behind the feed (e.g. a slower clock) — worth an extra step. */
+  get lagging() {
+    return this.buffered > 2 * C.SPECTATOR_DELAY_FRAMES;
+  }
+
+  /**
+   * Simulate the next frame if its inputs are here. Returns the state,
+   * stepped in place, or null while buffering.
+   */
+  tick() {
+    if (!this.state) return null;
+
+    if (this.buffering) {
+      if (this.buffered < C.SPECTATOR_DELAY_FRAMES) return null;
+      this.buffering = false;
+    }
+
+    const pair = this.inputs.get(this.frame);
+    if (!pair) {
+      // Ran dry — rebuffer rather than stutter frame by frame
+      this.buffering = true;
+      return null;
+    }
+    this.inputs.delete(this.frame);
+
+    stepFrame(this.state, pair[0], pair[1]);
+    this.frame++;
+    return this.state;
+  }
+}
@@ -1,48 +1,158 @@
 import * as C from './constants.js';
+import { fx } from './fixed.js';
 
 export function createEmptyInput() {
   return {
     left: false,
     right: false,
     crouch: false,
+    jump: false,
     weapon1: false,
     weapon2: false,
     weapon3: false,
   };
 }
 
-function createPlayerState(index, weapons) {
+export function createPlayerState(index, weapons) {
   return {
-    x: index === 0 ? 200 : 600,
+    x: fx(index === 0 ? 200 : 600),  // fixed-point (see fixed.js)
+    y: 0,                             // height of the feet above ground (fixed-point)
+    vy: 0,                            // vertical velocity, up is positive (fixed-point)
+    airborne: false,
     facing: index === 0 ? 1 : -1,   // 1=right, -1=left
-    stance: 'standing',               // 'standing' | 'crouching'
+    stance: 'standing',               // 'standing' | 'crouching' (always standing in the air)
+    stanceAge: C.PARRY_WINDOW_FRAMES, // frames since the stance last changed (capped)
     hp: C.MAX_HP,
     weapons,                          // [weaponId, weaponId, weaponId]
-    state: 'idle',                    // 'idle' | 'attacking' | 'hitstun' | 'blockstun'
+    state: 'idle',                    // 'idle' | 'attacking' | 'hitstun' | 'blockstun' | 'parried'
     stateTimer: 0,
     activeWeapon: null,
+    attackKind: 'normal',             // 'normal' | 'downthrust' | 'upthrust'
     attackStance: 'standing',         // stance locked at attack start
     attackSpawned: false,
+    attackHitMask: 0,                 // bit per player index already hit this swing
+    pushDir: 0,                       // knockback / block pushback in progress
+    pushSpeed: 0,                     //   fixed-point per frame
+    pushRemaining: 0,                 //   fixed-point distance left
+    pushFrom: -1,                     //   attacker index (takes the push when cornered) or -1
     boomerangsHeld: C.BOOMERANG_MAX,
     crouchThrowCount: 0,
     standThrowCount: 0,
+    bufferedWeapon: -1,               // weapon slot pressed but not yet fired (see INPUT_BUFFER_FRAMES), or -1
+    bufferTimer: 0,                   //   frames it stays buffered
   };
 }
 
-export function createGameState(p1Weapons, p2Weapons) {
+/**
+ * options.bestOf — number of rounds in the match (1, 3, 5...).
+ * First to win a majority of rounds takes the match.
+ * options.inputBuffer — frames a weapon press is buffered (default
+ * INPUT_BUFFER_FRAMES, 0 = only presses while able to act count).
+ */
+export function createGameState(p1Weapons, p2Weapons, options = {}) {
+  const bestOf = options.bestOf || C.DEFAULT_BEST_OF;
   return {
     frame: 0,
+    rules: {
+      bestOf,
+      roundsToWin: Math.ceil(bestOf / 2),
+      inputBuffer: options.inputBuffer ?? C.INPUT_BUFFER_FRAMES,
+    },
     players: [
       createPlayerState(0, p1Weapons),
       createPlayerState(1, p2Weapons),
     ],
     projectiles: [],
+    effects: [],      // short-lived visual markers, e.g. { kind: 'clash', x, y, timer }
+    events: [],       // what happened this frame (see events.js), cleared every frame
+    round: 1,
+    roundWins: [0, 0],  // rounds scored (a drawn round scores for both)
+    roundDraws: 0,      //   how many of them were draws
+    roundTimer: C.ROUND_TIME_FRAMES,
+    phase: 'intro',   // 'intro' | 'fight' | 'roundEnd'
+    phaseTimer: C.ROUND_INTRO_FRAMES,
+    roundWinner: -1,  // last round result: -1=none, 0/1=player, 2=draw
+    roundEndReason: null, // 'ko' | 'timeout'
     winner: -1,     // -1=none, 0=p1 wins, 1=p2 wins, 2=draw
     hitstop: 0,
     prevInputs: [createEmptyInput(), createEmptyInput()],
   };
 }
 
+// ─── Copying ─────────────────────────────────────────────────
+//
+// Hand-written structural copy — JSON round-trips were the hot spot of
+// rollback. Copies reuse the destination's objects, so copying into a
+// snapshot slot that already holds a state allocates nothing in steady
+// state. Game state must stay a tree of plain objects, arrays and
+// primitives; new top-level fields need a line in copyStateInto (SyncTest
+// catches forgotten ones), new player fields are picked up automatically.
+
+// Player fields, taken from the factory so additions can't be missed
+const PLAYER_KEYS = Object.keys(createPlayerState(0, []));
+
 export function cloneState(state) {
-  return JSON.parse(JSON.stringify(state));
+  return copyStateInto(null, state);
+}
+
+/** Copy `src` into `dst` (reusing its objects) and return it; dst may be null. */
+export function copyStateInto(dst, src) {
+  const d = dst || {};
+  d.frame = src.frame;
+  d.rules = copyFlat(d.rules, src.rules);
+  d.players = copyList(d.players, src.players, copyPlayer);
+  d.projectiles = copyList(d.projectiles, src.projectiles, copyTagged, 'weapon');
+  d.effects = copyList(d.effects, src.effects, copyTagged, 'kind');
+  d.events = copyList(d.events, src.events, copyTagged, 'type');
+  d.round = src.round;
+  d.roundWins = copyList(d.roundWins, src.roundWins);
+  d.roundDraws = src.roundDraws;
+  d.roundTimer = src.roundTimer;
+  d.phase = src.phase;
+  d.phaseTimer = src.phaseTimer;
+  d.roundWinner = src.roundWinner;
+  d.roundEndReason = src.roundEndReason;
+  d.winner = src.winner;
+  d.hitstop = src.hitstop;
+  d.prevInputs = copyList(d.prevInputs, src.prevInputs, copyFlat);
+  return d;
+}
+
+/** Player fields are primitives, except the weapons array. */
+function copyPlayer(d, s) {
+  if (!d) d = {};
+  for (let i = 0; i < PLAYER_KEYS.length; i++) {
+    const k = PLAYER_KEYS[i];
+    const v = s[k];
+    d[k] = (v !== null && typeof v === 'object') ? copyList(d[k], v) : v;
+  }
+  return d;
+}
+
+/**
+ * Copy a list; `copyItem(dstItem, srcItem, tag)` copies object items, primitives
+ * are assigned. Items whose `tag` field differs get a fresh object (different shape).
+ */
+function copyList(d, s, copyItem, tag) {
+  if (!d) d = [];
+  d.length = s.length;
+  for (let i = 0; i < s.length; i++) {
+    d[i] = copyItem ? copyItem(d[i], s[i], tag) : s[i];
+  }
+  return d;
+}
+
+/** Object of primitives and nested plain objects (projectile/effect/event). */
+function copyTagged(d, s, tag) {
+  if (!d || d[tag] !== s[tag]) d = {};
+  return copyFlat(d, s);
+}
+
+function copyFlat(d, s) {
+  if (!d) d = {};
+  for (const k in s) {
+    const v = s[k];
+    d[k] = (v !== null && typeof v === 'object') ? copyFlat(d[k], v) : v;
+  }
+  return d;
 }
@@ -0,0 +1,132 @@
+/**
+ * Transports — what the game channel between the two players runs over.
+ * NetworkManager sends and receives through one of these, so everything
+ * above it (message encoding, pings, rollback, main.js) works the same
+ * whichever carries the bytes:
+ *
+ *   send(data)            string or ArrayBuffer, delivered reliably and in order
+ *   onMessage(data)       callback: a message arrived
+ *   onState(connected)    callback: the channel came up or went down
+ *   close()
+ *   connected             current state
+ *
+ * DataChannelTransport   a WebRTC data channel — peer-to-peer, set up by
+ *                        NetworkManager (room code or copy-paste)
+ * RelayTransport         a WebSocket through server/relay.mjs, for networks
+ *                        where WebRTC can't connect
+ *
+ * The loopback ends in netsim.js have the same shape.
+ */
+import * as C from './constants.js';
+
+/** Default relay server: same machine that served the page. */
+export function defaultRelayUrl() {
+  const host = location.hostname || 'localhost';
+  return `ws://${host}:${C.RELAY_PORT}`;
+}
+
+// ─── WebRTC Data Channel ─────────────────────────────────────
+
+export class DataChannelTransport {
+  constructor(dc) {
+    this.dataChannel = dc;
+    this.onMessage = null;
+    this.onState = null;
+
+    dc.binaryType = 'arraybuffer';
+    dc.onopen = () => this.onState?.(true);
+    dc.onclose = () => this.onState?.(false);
+    dc.onmessage = (e) => this.onMessage?.(e.data);
+  }
+
+  get connected() {
+    return this.dataChannel.readyState === 'open';
+  }
+
+  send(data) {
+    if (this.connected) this.dataChannel.send(data);
+  }
+
+  close() {
+    this.dataChannel.close();
+  }
+}
+
+// ─── WebSocket Relay ─────────────────────────────────────────
+
+export class RelayTransport {
+  constructor() {
+    this.ws = null;
+    this.connected = false;
+    this.onMessage = null;
+    this.onState = null;
+  }
+
+  /** Host: open a room on the relay. Resolves with its code; connects once the guest joins. */
+  host(url) {
+    return this._open(url, { type: 'host' });
+  }
+
+  /** Guest: join a room by code. Resolves once connected to the host. */
+  join(url, code) {
+    return this._open(url, { type: 'join', code });
+  }
+
+  send(data) {
+    if (this.connected) this.ws.send(data);
+  }
+
+  close() {
+    const ws = this.ws;
+    this.ws = null;
+    ws?.close();
+    this._setConnected(false);
+  }
+
+  _open(url, request) {
+    this.close();
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      ws.binaryType = 'arraybuffer';
+      this.ws = ws;
+      let paired = false;
+
+      ws.onopen = () => ws.send(JSON.stringify(request));
+      ws.onerror = () => reject(new Error(`Can't reach relay server at ${url}`));
+      ws.onclose = (e) => {
+        if (this.ws !== ws) return;
+        this.ws = null;
+        reject(new Error(e.reason || 'Relay server closed the connection'));
+        this._setConnected(false);
+      };
+      ws.onmessage = (e) => {
+        // Once paired, everything is the other player's
+        if (paired) {
+          this.onMessage?.(e.data);
+          return;
+        }
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch {
+          return; // ignore malformed
+        }
+        if (msg.type === 'room') {
+          resolve(msg.code);
+        } else if (msg.type === 'paired') {
+          paired = true;
+          resolve();
+          this._setConnected(true);
+        } else if (msg.type === 'error') {
+          reject(new Error(msg.message));
+        }
+      };
+    });
+  }
+
+  _setConnected(connected) {
+    if (connected === this.connected) return;
+    this.connected = connected;
+    this.onState?.(connected);
+  }
+}
@@ -3,6 +3,16 @@
  * keybinding, online setup, victory).
  */
 import * as C from './constants.js';
+import { WEAPON_DEFS, WEAPON_LIST } from './weapons/index.js';
+import { defaultSignalingUrl, isLocalServer } from './signaling.js';
+import { defaultRelayUrl } from './transport.js';
+import { PLAYER_NAME_MAX } from './handshake.js';
+import { PROFILE_NAME_MAX, STICK_THRESHOLDS } from './profiles.js';
+
+/** Text from the other peer (names, ids) is escaped before it goes into markup. */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
 
 // Friendly key names for display
 const KEY_NAMES = {
@@ -28,6 +38,132 @@ function keyName(code) {
   return KEY_NAMES[code] || code;
 }
 
+// Gamepad bindings: standard-mapping controls by name, anything else by number
+const PAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS',
+  'D\u2191', 'D\u2193', 'D\u2190', 'D\u2192', 'Home',
+];
+const PAD_ARROWS = { up: '\u2191', right: '\u2192', down: '\u2193', left: '\u2190' };
+
+function padBindingName(b, standard) {
+  switch (b.type) {
+    case 'button':
+      return (standard && PAD_BUTTON_NAMES[b.index]) || `B${b.index}`;
+    case 'axis': {
+      if (standard && b.index < 4) {
+        const arrow = b.index % 2 === 0 ? (b.dir < 0 ? PAD_ARROWS.left : PAD_ARROWS.right)
+          : (b.dir < 0 ? PAD_ARROWS.up : PAD_ARROWS.down);
+        return `${b.index < 2 ? 'LS' : 'RS'}${arrow}`;
+      }
+      return `Axis${b.index}${b.dir < 0 ? '\u2212' : '+'}`;
+    }
+    case 'hat':
+      return `Hat${PAD_ARROWS[b.dir]}`;
+  }
+  return '?';
+}
+
+/** Controller name for menus: its id without the bracketed vendor details. */
+function padName(pad) {
+  const name = pad.id.replace(/\s*\(.*\)\s*$/, '') || pad.id;
+  return name.length > 28 ? `${name.slice(0, 27)}\u2026` : name;
+}
+
+// ─── Keybind Table Parts ─────────────────────────────────────
+
+const ACTIONS = ['left', 'right', 'crouch', 'jump', 'weapon1', 'weapon2', 'weapon3'];
+const ACTION_LABELS = {
+  left: 'Move Left', right: 'Move Right', crouch: 'Crouch', jump: 'Jump',
+  weapon1: 'Weapon 1', weapon2: 'Weapon 2', weapon3: 'Weapon 3',
+};
+
+function keyCell(inputManager, player, action, rebinding) {
+  const active = rebinding && !rebinding.pad && rebinding.player === player && rebinding.action === action;
+  return `
+    <button class="keybind-btn ${active ? 'rebinding' : ''}" data-player="${player}" data-action="${action}">
+      ${active ? '...' : keyName(inputManager.getBinds(player)[action])}
+    </button>`;
+}
+
+/** A player's pad binding for an action — a capture button, or a dash with no controller. */
+function padCell(inputManager, pad, player, action, rebinding) {
+  if (!pad) return '<span class="pad-none">\u2014</span>';
+  const active = rebinding && rebinding.pad && rebinding.player === player && rebinding.action === action;
+  const bindings = inputManager.getGamepadLayout(player, pad.id)[action];
+  const standard = pad.mapping === 'standard';
+  const label = bindings.length ? bindings.map(b => padBindingName(b, standard)).join(' / ') : '\u2014';
+  return `
+    <button class="keybind-btn pad-btn ${active ? 'rebinding' : ''}"
+      data-player="${player}" data-action="${action}" data-pad>
+      ${active ? '...' : label}
+    </button>`;
+}
+
+/** Which controller drives a player: auto (next free one), none, or a specific one. */
+function gamepadSelect(inputManager, player, label = `P${player + 1} controller`) {
+  const choice = inputManager.gamepadChoice[player];
+  const current = inputManager.gamepadFor(player);
+  const pads = inputManager.connectedGamepads();
+  const option = (value, text) =>
+    `<option value="${value}" ${choice === value ? 'selected' : ''}>${escapeHtml(text)}</option>`;
+  const missing = typeof choice === 'number' && !pads.some(pad => pad.index === choice);
+  return `
+    <label>${label}
+      <select class="pad-select" data-player="${player}">
+        ${option('auto', choice === 'auto' && current ? `Auto (${padName(current)})` : 'Auto')}
+        ${option('none', 'None')}
+        ${pads.map(pad => option(pad.index, `${pad.index + 1}: ${padName(pad)}`)).join('')}
+        ${missing ? option(choice, `${choice + 1}: (disconnected)`) : ''}
+      </select>
+    </label>`;
+}
+
+/**
+ * A player's control profile: which one, its name (edit to rename), copy
+ * and delete, and its stick threshold. With markOther, the other slot's
+ * profile is tagged — picking it swaps the two (see ProfileStore.select).
+ */
+function profileControls(profiles, inputManager, player, label = `P${player + 1} profile`, markOther = true) {
+  const current = inputManager.profiles[player];
+  const otherName = markOther ? profiles.slots[1 - player] : null;
+  const threshold = current.options.stickThreshold;
+  return `
+    <div class="profile-row">
+      <label>${label}
+        <select class="profile-select" data-player="${player}">
+          ${profiles.names().map(name => `
+            <option value="${escapeHtml(name)}" ${name === current.name ? 'selected' : ''}>
+              ${escapeHtml(name)}${name === otherName ? ` (P${2 - player})` : ''}
+            </option>
+          `).join('')}
+        </select>
+      </label>
+      <input type="text" class="profile-name" data-player="${player}" maxlength="${PROFILE_NAME_MAX}"
+        value="${escapeHtml(current.name)}" spellcheck="false" title="Rename this profile">
+      <button class="btn btn-small profile-copy" data-player="${player}">Copy</button>
+      <button class="btn btn-small profile-delete" data-player="${player}">Delete</button>
+      <label>Stick
+        <select class="stick-select" data-player="${player}">
+          ${STICK_THRESHOLDS.map(t => `
+            <option value="${t}" ${t === threshold ? 'selected' : ''}>${Math.round(t * 100)}%</option>
+          `).join('')}
+          ${STICK_THRESHOLDS.includes(threshold) ? '' : `<option value="${threshold}" selected>${Math.round(threshold * 100)}%</option>`}
+        </select>
+      </label>
+    </div>`;
+}
+
+/** Export and import of every saved profile, with a line for how it went. */
+function profileFileRow(status) {
+  return `
+    <div class="profile-files">
+      <button id="exportProfilesBtn" class="btn btn-small">Export Profiles</button>
+      <button id="importProfilesBtn" class="btn btn-small">Import Profiles</button>
+      <input type="file" id="importProfilesFile" accept=".json,application/json" hidden>
+      <span class="profile-status">${escapeHtml(status)}</span>
+    </div>`;
+}
+
 export class UIManager {
   constructor() {
     this.screens = {};
@@ -51,45 +187,216 @@ export class UIManager {
 
   // ─── Title Screen ──────────────────────────────────────────
 
-  setupTitle(onLocal, onOnline) {
+  setupTitle(onLocal, onOnline, bestOf, onBestOfChange) {
     document.getElementById('localPlayBtn').onclick = onLocal;
     document.getElementById('onlinePlayBtn').onclick = onOnline;
+
+    // Online matches use the host's format
+    const select = document.getElementById('bestOfSelect');
+    select.innerHTML = C.BEST_OF_OPTIONS.map(n => `
+      <option value="${n}" ${n === bestOf ? 'selected' : ''}>
+        ${n === 1 ? 'Single round' : `Best of ${n}`}
+      </option>
+    `).join('');
+    select.onchange = () => onBestOfChange(parseInt(select.value));
+
     this.showScreen('titleScreen');
   }
 
   // ─── Online Setup ──────────────────────────────────────────
 
-  setupOnline(networkManager, onReady) {
+  /**
+   * Room codes through the signaling server are the main flow; the manual
+   * offer/answer paste stays available underneath as a fallback. With the
+   * relay transport the room codes come from the relay server instead and
+   * the game runs through it, so there's nothing to paste.
+   *
+   * options.reconnect — 'host' | 'guest': the match dropped and this player
+   *   reconnects in the same role, so only that role's controls are shown
+   *   (see setReconnectCountdown). options.onBack replaces the Back action.
+   * options.name / options.onNameChange(name) — the display name field.
+   * options.transport / options.onTransportChange(transport) — 'webrtc' |
+   *   'relay', what the game channel runs over (see transport.js).
+   */
+  setupOnline(networkManager, signaling, onReady, options = {}) {
     this.showScreen('onlineSetup');
     const container = this.screens.onlineSetup;
+    let transport = options.transport === 'relay' ? 'relay' : 'webrtc';
+    const serverUrl = (t) => (t === 'relay' ? defaultRelayUrl() : defaultSignalingUrl());
+    const setClass = () => {
+      container.className = ['overlay', `transport-${transport}`,
+        options.reconnect && `reconnect-${options.reconnect}`].filter(Boolean).join(' ');
+    };
+    setClass();
+    const heading = options.reconnect
+      ? `<h2>Connection Lost</h2>
+         <p id="reconnectCountdown" class="reconnect-countdown"></p>`
+      : '<h2>Online Setup</h2>';
     container.innerHTML = `
-      <h2>Online Setup</h2>
-      <div class="online-panel">
-        <div class="online-section">
-          <h3>Host a Game</h3>
-          <button id="createOfferBtn" class="btn">Create Offer</button>
-          <textarea id="offerText" readonly placeholder="Offer code will appear here..."></textarea>
-          <button id="copyOfferBtn" class="btn btn-small" style="display:none">Copy</button>
-          <h4>Paste guest's answer:</h4>
-          <textarea id="answerInput" placeholder="Paste answer code here..."></textarea>
-          <button id="acceptAnswerBtn" class="btn">Accept Answer</button>
+      ${heading}
+      <div class="room-panel">
+        <div class="room-row player-name-row">
+          <label for="playerName">Your name</label>
+          <input id="playerName" type="text" maxlength="${PLAYER_NAME_MAX}" placeholder="Player"
+            value="${escapeHtml(options.name ?? '')}" spellcheck="false">
+        </div>
+        <div class="room-row">
+          <label for="transportSelect">Connection</label>
+          <select id="transportSelect">
+            <option value="webrtc"${transport === 'webrtc' ? ' selected' : ''}>WebRTC (peer-to-peer)</option>
+            <option value="relay"${transport === 'relay' ? ' selected' : ''}>WebSocket relay</option>
+          </select>
+        </div>
+        <div class="room-row">
+          <label for="signalingUrl">Server</label>
+          <input id="signalingUrl" type="text"
+            value="${serverUrl(transport)}" spellcheck="false">
+          <label class="lan-only"><input id="lanOnly" type="checkbox"
+            ${isLocalServer(serverUrl('webrtc')) ? 'checked' : ''}> LAN only (no STUN)</label>
         </div>
-        <div class="divider">OR</div>
-        <div class="online-section">
-          <h3>Join a Game</h3>
-          <textarea id="offerInput" placeholder="Paste host's offer code here..."></textarea>
-          <button id="joinBtn" class="btn">Join</button>
-          <textarea id="answerText" readonly placeholder="Answer code will appear here..."></textarea>
-          <button id="copyAnswerBtn" class="btn btn-small" style="display:none">Copy</button>
+        <div class="room-row">
+          <button id="hostRoomBtn" class="btn btn-primary host-only">Host Room</button>
+          <span id="roomCode" class="room-code host-only"></span>
+          <span class="room-or host-only guest-only">or</span>
+          <input id="roomCodeInput" class="guest-only" type="text" maxlength="4" placeholder="CODE" spellcheck="false">
+          <button id="joinRoomBtn" class="btn guest-only">Join Room</button>
         </div>
       </div>
+      <details class="manual-signaling">
+        <summary>Manual connection (copy-paste)</summary>
+        <div class="online-panel">
+          <div class="online-section host-only">
+            <h3>Host a Game</h3>
+            <button id="createOfferBtn" class="btn">Create Offer</button>
+            <textarea id="offerText" readonly placeholder="Offer code will appear here..."></textarea>
+            <button id="copyOfferBtn" class="btn btn-small" style="display:none">Copy</button>
+            <h4>Paste guest's answer:</h4>
+            <textarea id="answerInput" placeholder="Paste answer code here..."></textarea>
+            <button id="acceptAnswerBtn" class="btn">Accept Answer</button>
+          </div>
+          <div class="divider host-only guest-only">OR</div>
+          <div class="online-section guest-only">
+            <h3>Join a Game</h3>
+            <textarea id="offerInput" placeholder="Paste host's offer code here..."></textarea>
+            <button id="joinBtn" class="btn">Join</button>
+            <textarea id="answerText" readonly placeholder="Answer code will appear here..."></textarea>
+            <button id="copyAnswerBtn" class="btn btn-small" style="display:none">Copy</button>
+          </div>
+        </div>
+      </details>
       <p id="onlineStatus" class="status">Not connected</p>
-      <button id="onlineBackBtn" class="btn btn-secondary">Back</button>
+      <button id="onlineBackBtn" class="btn btn-secondary">${options.reconnect ? 'Give Up' : 'Back'}</button>
     `;
 
     const statusEl = document.getElementById('onlineStatus');
 
+    const nameInput = document.getElementById('playerName');
+    nameInput.onchange = () => options.onNameChange?.(nameInput.value);
+
+    // ── Transport ──
+
+    const urlInput = document.getElementById('signalingUrl');
+    const transportSelect = document.getElementById('transportSelect');
+    transportSelect.onchange = () => {
+      // Swap the server address too, unless the player typed their own
+      if (urlInput.value.trim() === serverUrl(transport)) urlInput.value = serverUrl(transportSelect.value);
+      transport = transportSelect.value;
+      setClass();
+      options.onTransportChange?.(transport);
+    };
+
+    // ── Room codes ──
+
+    // LAN only starts ticked for a server on the local network (see
+    // isLocalServer) and follows the address until the player sets it
+    const lanOnly = document.getElementById('lanOnly');
+    let lanOnlyChosen = false;
+    const applyIceSetting = () => {
+      networkManager.iceServers = lanOnly.checked ? [] : C.STUN_SERVERS;
+    };
+    lanOnly.onchange = () => {
+      lanOnlyChosen = true;
+      applyIceSetting();
+    };
+    urlInput.oninput = () => {
+      if (!lanOnlyChosen) lanOnly.checked = isLocalServer(urlInput.value.trim());
+    };
+
+    const showSignalError = (err) => {
+      statusEl.textContent = err.message;
+    };
+
+    const openSignaling = async () => {
+      applyIceSetting();
+      await signaling.connect(urlInput.value.trim());
+      signaling.onPeerLeft = () => {
+        if (!networkManager.connected) statusEl.textContent = 'The other player left the room';
+      };
+    };
+
+    document.getElementById('hostRoomBtn').onclick = async () => {
+      statusEl.textContent = 'Opening room...';
+      if (transport === 'relay') {
+        hostRelayRoom();
+        return;
+      }
+      try {
+        await openSignaling();
+        const code = await signaling.hostRoom();
+        document.getElementById('roomCode').textContent = code;
+        statusEl.textContent = `Room ${code} — waiting for the guest to join...`;
+        signaling.onPeerJoined = () => {
+          statusEl.textContent = 'Guest joined. Connecting...';
+          networkManager.connectWithSignaling(signaling, true, showSignalError).catch(showSignalError);
+        };
+      } catch (err) {
+        statusEl.textContent = err.message;
+      }
+    };
+
+    document.getElementById('joinRoomBtn').onclick = async () => {
+      const code = document.getElementById('roomCodeInput').value.trim().toUpperCase();
+      if (!code) return;
+      statusEl.textContent = `Joining room ${code}...`;
+      if (transport === 'relay') {
+        joinRelayRoom(code);
+        return;
+      }
+      try {
+        await openSignaling();
+        await signaling.joinRoom(code);
+        statusEl.textContent = 'Joined. Connecting...';
+        await networkManager.connectWithSignaling(signaling, false, showSignalError);
+      } catch (err) {
+        statusEl.textContent = err.message;
+      }
+    };
+
+    // Relay: the relay server hands out the codes and carries the game
+    const hostRelayRoom = async () => {
+      signaling.close();
+      try {
+        const code = await networkManager.hostRelay(urlInput.value.trim());
+        document.getElementById('roomCode').textContent = code;
+        statusEl.textContent = `Room ${code} — waiting for the guest to join...`;
+      } catch (err) {
+        statusEl.textContent = err.message;
+      }
+    };
+
+    const joinRelayRoom = async (code) => {
+      signaling.close();
+      try {
+        await networkManager.joinRelay(urlInput.value.trim(), code);
+      } catch (err) {
+        statusEl.textContent = err.message;
+      }
+    };
+
+    // ── Manual offer/answer ──
+
     document.getElementById('createOfferBtn').onclick = async () => {
+      applyIceSetting();
       statusEl.textContent = 'Creating offer...';
       const offer = await networkManager.createOffer();
       document.getElementById('offerText').value = offer;
@@ -112,6 +419,7 @@ export class UIManager {
     document.getElementById('joinBtn').onclick = async () => {
       const offerB64 = document.getElementById('offerInput').value.trim();
       if (!offerB64) return;
+      applyIceSetting();
       statusEl.textContent = 'Creating answer...';
       const answer = await networkManager.acceptOffer(offerB64);
       document.getElementById('answerText').value = answer;
@@ -127,19 +435,155 @@ export class UIManager {
       if (connected) {
         statusEl.textContent = 'Connected!';
         statusEl.classList.add('connected');
-        setTimeout(() => onReady(networkManager.isHost), 500);
+        setTimeout(() => onReady(networkManager.isHost, networkManager.isSpectator), 500);
       } else {
         statusEl.textContent = 'Disconnected';
         statusEl.classList.remove('connected');
       }
     };
 
-    document.getElementById('onlineBackBtn').onclick = () => {
+    document.getElementById('onlineBackBtn').onclick = options.onBack || (() => {
+      signaling.close();
       networkManager.close();
       this.showScreen('titleScreen');
+    });
+  }
+
+  /** Reconnect screen: time left before the dropped match is forfeited. */
+  setReconnectCountdown(seconds) {
+    const el = document.getElementById('reconnectCountdown');
+    if (el) el.textContent = `Reconnect within ${seconds}s or the match is forfeited`;
+  }
+
+  // ─── Spectators ────────────────────────────────────────────
+
+  /**
+   * Host: a small panel under the canvas for inviting spectators with the
+   * same offer/answer exchange. Stays available during the match.
+   */
+  setupSpectatorPanel(networkManager) {
+    const panel = document.getElementById('spectatorPanel');
+    panel.classList.remove('hidden');
+    panel.innerHTML = `
+      <details>
+        <summary>Spectators: <span id="spectatorCount">${networkManager.spectators.length}</span></summary>
+        <div class="spectator-invite">
+          <button id="spectatorOfferBtn" class="btn btn-small">Create Spectator Offer</button>
+          <textarea id="spectatorOfferText" readonly placeholder="Spectator offer code..."></textarea>
+          <textarea id="spectatorAnswerInput" placeholder="Paste spectator's answer..."></textarea>
+          <button id="spectatorAnswerBtn" class="btn btn-small">Accept</button>
+        </div>
+        <p id="spectatorStatus" class="status spectator-status"></p>
+      </details>
+    `;
+
+    const offerText = document.getElementById('spectatorOfferText');
+    const answerInput = document.getElementById('spectatorAnswerInput');
+    const statusEl = document.getElementById('spectatorStatus');
+
+    document.getElementById('spectatorOfferBtn').onclick = async () => {
+      offerText.value = 'Creating offer...';
+      statusEl.textContent = '';
+      try {
+        offerText.value = await networkManager.createSpectatorOffer();
+        offerText.select();
+        statusEl.textContent = 'Offer created. Share it and paste the answer.';
+      } catch (err) {
+        offerText.value = '';
+        statusEl.textContent = `Could not create offer: ${err.message}`;
+      }
+    };
+
+    document.getElementById('spectatorAnswerBtn').onclick = async () => {
+      const answerB64 = answerInput.value.trim();
+      if (!answerB64) return;
+      statusEl.textContent = 'Accepting answer...';
+      try {
+        await networkManager.acceptSpectatorAnswer(answerB64);
+        offerText.value = '';
+        answerInput.value = '';
+        statusEl.textContent = 'Spectator connecting...';
+      } catch (err) {
+        statusEl.textContent = `Invalid answer: ${err.message}`;
+      }
+    };
+
+    networkManager.onSpectatorCountChange = (count) => {
+      document.getElementById('spectatorCount').textContent = count;
     };
   }
 
+  hideSpectatorPanel() {
+    const panel = document.getElementById('spectatorPanel');
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+  }
+
+  // ─── Loopback Debug ────────────────────────────────────────
+
+  /**
+   * ?loopback: the guest instance's view and the simulated network
+   * conditions under the canvas. Edits apply to the link at once.
+   * Returns the guest canvas's 2D context.
+   */
+  setupLoopbackPanel(conditions) {
+    const fields = [
+      ['latency', 'Latency (ms)', 5],
+      ['jitter', 'Jitter (ms)', 5],
+      ['loss', 'Loss (0–1)', 0.01],
+      ['reorder', 'Reorder (0–1)', 0.01],
+    ];
+    const panel = document.getElementById('loopbackPanel');
+    panel.classList.remove('hidden');
+    panel.innerHTML = `
+      <canvas id="guestCanvas" width="${C.CANVAS_WIDTH}" height="${C.CANVAS_HEIGHT}"></canvas>
+      <div class="loopback-controls">
+        <div class="loopback-conditions">
+          ${fields.map(([key, label, step]) => `
+            <label>${label}
+              <input type="number" data-key="${key}" min="0" ${step < 1 ? 'max="1"' : ''}
+                step="${step}" value="${conditions[key]}">
+            </label>
+          `).join('')}
+        </div>
+        <pre id="loopbackStats"></pre>
+      </div>
+    `;
+
+    panel.querySelectorAll('input[data-key]').forEach(input => {
+      input.onchange = () => {
+        const value = Math.max(0, parseFloat(input.value) || 0);
+        conditions[input.dataset.key] = input.max ? Math.min(value, 1) : value;
+      };
+    });
+
+    return document.getElementById('guestCanvas').getContext('2d');
+  }
+
+  /** Stats lines from LocalPeers.report(). */
+  updateLoopbackStats(lines) {
+    const el = document.getElementById('loopbackStats');
+    if (el) el.textContent = lines.join('\n');
+  }
+
+  hideLoopbackPanel() {
+    const panel = document.getElementById('loopbackPanel');
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+  }
+
+  /** Spectator: both loadouts are in, the fight starts once both are ready. */
+  showSpectatorLobby(p1Weapons, p2Weapons) {
+    const names = (weapons) => weapons.map(id => WEAPON_DEFS[id]?.name ?? id).join(', ');
+    this.showScreen('weaponSelect');
+    this.screens.weaponSelect.innerHTML = `
+      <h2>Spectating</h2>
+      <p class="subtitle">Player 1: ${names(p1Weapons)}</p>
+      <p class="subtitle">Player 2: ${names(p2Weapons)}</p>
+      <div class="waiting-spinner"></div>
+    `;
+  }
+
   // ─── Weapon Select ─────────────────────────────────────────
 
   setupWeaponSelect(onDone) {
@@ -153,8 +597,8 @@ export class UIManager {
         <h2>Select Weapons</h2>
         <p class="subtitle">Each player picks 3 weapons. Duplicates allowed.</p>
         <div class="weapon-grid">
-          ${C.WEAPON_LIST.map(id => {
-            const w = C.WEAPON_DEFS[id];
+          ${WEAPON_LIST.map(id => {
+            const w = WEAPON_DEFS[id];
             return `
               <div class="weapon-card" data-weapon="${id}">
                 <div class="weapon-name">${w.name}</div>
@@ -177,7 +621,7 @@ export class UIManager {
               <div class="slots">
                 ${[0, 1, 2].map(si => {
                   const wId = selections[pi][si];
-                  const name = wId ? C.WEAPON_DEFS[wId].name : '(empty)';
+                  const name = wId ? WEAPON_DEFS[wId].name : '(empty)';
                   return `<span class="slot ${wId ? 'filled' : ''}"
                     data-player="${pi}" data-slot="${si}">${name}</span>`;
                 }).join('')}
@@ -229,81 +673,183 @@ export class UIManager {
 
   // ─── Keybind Screen ────────────────────────────────────────
 
-  setupKeybinds(inputManager, onDone) {
+  /** profiles — the ProfileStore whose profiles the two slots pick from. */
+  setupKeybinds(inputManager, profiles, onDone) {
     this.showScreen('keybindScreen');
     const container = this.screens.keybindScreen;
-    const actions = ['left', 'right', 'crouch', 'weapon1', 'weapon2', 'weapon3'];
-    const actionLabels = {
-      left: 'Move Left', right: 'Move Right', crouch: 'Crouch',
-      weapon1: 'Weapon 1', weapon2: 'Weapon 2', weapon3: 'Weapon 3',
-    };
-
-    let rebinding = null; // { player, action } or null
+    // rebinding: { player, action, pad } while capturing; status: last profile message
+    const state = { rebinding: null, status: '' };
 
     const renderUI = () => {
+      inputManager.autoAssignGamepads();
+      const pads = [inputManager.gamepadFor(0), inputManager.gamepadFor(1)];
       container.innerHTML = `
         <h2>Keybindings</h2>
-        <p class="subtitle">Click a key to rebind. Gamepads auto-mapped.</p>
-        <div class="keybind-table">
+        <p class="subtitle">Click a key or pad binding, then press the new one. Esc cancels a pad capture.</p>
+        ${profileControls(profiles, inputManager, 0)}
+        ${profileControls(profiles, inputManager, 1)}
+        <div class="pad-assign">
+          ${gamepadSelect(inputManager, 0)}
+          ${gamepadSelect(inputManager, 1)}
+        </div>
+        <div class="keybind-table keybind-table-pads">
           <div class="keybind-header">
-            <span>P1 Key</span><span>Action</span><span>P2 Key</span>
+            <span>P1 Key</span><span>P1 Pad</span><span>Action</span><span>P2 Pad</span><span>P2 Key</span>
           </div>
-          ${actions.map(action => {
-            const b0 = inputManager.getBinds(0);
-            const b1 = inputManager.getBinds(1);
-            const isRebinding0 = rebinding && rebinding.player === 0 && rebinding.action === action;
-            const isRebinding1 = rebinding && rebinding.player === 1 && rebinding.action === action;
-            return `
-              <div class="keybind-row">
-                <button class="keybind-btn ${isRebinding0 ? 'rebinding' : ''}"
-                  data-player="0" data-action="${action}">
-                  ${isRebinding0 ? '...' : keyName(b0[action])}
-                </button>
-                <span class="action-label">${actionLabels[action]}</span>
-                <button class="keybind-btn ${isRebinding1 ? 'rebinding' : ''}"
-                  data-player="1" data-action="${action}">
-                  ${isRebinding1 ? '...' : keyName(b1[action])}
-                </button>
-              </div>
-            `;
-          }).join('')}
+          ${ACTIONS.map(action => `
+            <div class="keybind-row">
+              ${keyCell(inputManager, 0, action, state.rebinding)}
+              ${padCell(inputManager, pads[0], 0, action, state.rebinding)}
+              <span class="action-label">${ACTION_LABELS[action]}</span>
+              ${padCell(inputManager, pads[1], 1, action, state.rebinding)}
+              ${keyCell(inputManager, 1, action, state.rebinding)}
+            </div>
+          `).join('')}
         </div>
         <button id="resetBindsBtn" class="btn btn-secondary">Reset to Defaults</button>
         <button id="keybindDoneBtn" class="btn btn-primary">Start Fight!</button>
+        ${profileFileRow(state.status)}
       `;
 
-      container.querySelectorAll('.keybind-btn').forEach(btn => {
-        btn.onclick = async () => {
-          if (rebinding) return;
-          const pi = parseInt(btn.dataset.player);
-          const action = btn.dataset.action;
-          rebinding = { player: pi, action };
-          renderUI();
-
-          const code = await inputManager.waitForKey();
-          inputManager.rebind(pi, action, code);
-          rebinding = null;
-          renderUI();
-        };
-      });
+      this._wireBindControls(container, inputManager, profiles, state, renderUI);
 
       document.getElementById('resetBindsBtn').onclick = () => {
-        for (const action of actions) {
+        for (const action of ACTIONS) {
           inputManager.rebind(0, action, C.DEFAULT_BINDS[0][action]);
           inputManager.rebind(1, action, C.DEFAULT_BINDS[1][action]);
         }
+        pads.forEach((pad, player) => pad && inputManager.resetGamepadLayout(player, pad.id));
         renderUI();
       };
 
       document.getElementById('keybindDoneBtn').onclick = onDone;
     };
 
+    this._watchGamepads(container, inputManager, state, renderUI);
     renderUI();
   }
 
+  /** Redraw a keybind screen when controllers come and go, while it's up. */
+  _watchGamepads(container, inputManager, state, renderUI) {
+    inputManager.onGamepadsChange = () => {
+      if (!state.rebinding && !container.classList.contains('hidden')) renderUI();
+    };
+  }
+
+  /**
+   * Keybind screens: keyboard and pad capture, controller choice, profiles.
+   * A pad binding applies to that controller's layout in the player's
+   * profile, wherever it's plugged in.
+   */
+  _wireBindControls(container, inputManager, profiles, state, renderUI) {
+    container.querySelectorAll('.keybind-btn').forEach(btn => {
+      btn.onclick = async () => {
+        if (state.rebinding) return;
+        const player = parseInt(btn.dataset.player);
+        const action = btn.dataset.action;
+        const pad = btn.dataset.pad !== undefined ? inputManager.gamepadFor(player) : null;
+        state.rebinding = { player, action, pad: !!pad };
+        renderUI();
+
+        if (pad) {
+          const binding = await inputManager.waitForGamepadInput(pad.index);
+          if (binding) inputManager.rebindGamepad(player, pad.id, action, binding);
+        } else {
+          inputManager.rebind(player, action, await inputManager.waitForKey());
+        }
+        state.rebinding = null;
+        renderUI();
+      };
+    });
+
+    container.querySelectorAll('.pad-select').forEach(select => {
+      select.onchange = () => {
+        const choice = select.value === 'auto' || select.value === 'none' ? select.value : parseInt(select.value);
+        inputManager.assignGamepad(parseInt(select.dataset.player), choice);
+        renderUI();
+      };
+    });
+
+    this._wireProfileControls(container, inputManager, profiles, state, renderUI);
+  }
+
+  /** Profile pick, rename, copy, delete and options, plus export/import. */
+  _wireProfileControls(container, inputManager, profiles, state, renderUI) {
+    const useSlots = () => {
+      inputManager.useProfile(0, profiles.forSlot(0));
+      inputManager.useProfile(1, profiles.forSlot(1));
+    };
+    const playerOf = (el) => parseInt(el.dataset.player);
+
+    container.querySelectorAll('.profile-select').forEach(select => {
+      select.onchange = () => {
+        profiles.select(playerOf(select), select.value);
+        useSlots();
+        state.status = '';
+        renderUI();
+      };
+    });
+
+    container.querySelectorAll('.profile-name').forEach(input => {
+      input.onchange = () => {
+        const error = profiles.rename(inputManager.profiles[playerOf(input)], input.value);
+        state.status = error ?? '';
+        renderUI();
+      };
+    });
+
+    container.querySelectorAll('.profile-copy').forEach(btn => {
+      btn.onclick = () => {
+        const copy = profiles.duplicate(playerOf(btn));
+        useSlots();
+        state.status = `Copied to "${copy.name}"`;
+        renderUI();
+      };
+    });
+
+    container.querySelectorAll('.profile-delete').forEach(btn => {
+      btn.onclick = () => {
+        const name = inputManager.profiles[playerOf(btn)].name;
+        if (!confirm(`Delete the profile "${name}"?`)) return;
+        profiles.remove(name);
+        useSlots();
+        state.status = `Deleted "${name}"`;
+        renderUI();
+      };
+    });
+
+    container.querySelectorAll('.stick-select').forEach(select => {
+      select.onchange = () => inputManager.setOption(playerOf(select), 'stickThreshold', parseFloat(select.value));
+    });
+
+    document.getElementById('exportProfilesBtn').onclick = () => {
+      const blob = new Blob([profiles.exportJson()], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = 'z2clone-profiles.json';
+      a.click();
+      URL.revokeObjectURL(a.href);
+    };
+
+    const fileInput = document.getElementById('importProfilesFile');
+    document.getElementById('importProfilesBtn').onclick = () => fileInput.click();
+    fileInput.onchange = async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        const names = profiles.importJson(await file.text());
+        useSlots();
+        state.status = `Imported ${names.length} profile${names.length === 1 ? '' : 's'}: ${names.join(', ')}`;
+      } catch (err) {
+        state.status = `Import failed: ${err.message}`;
+      }
+      renderUI();
+    };
+  }
+
   // ─── Weapon Select (Online) ─────────────────────────────────
 
-  setupWeaponSelectOnline(onDone) {
+  setupWeaponSelectOnline(opponent, onDone) {
     this.showScreen('weaponSelect');
     const container = this.screens.weaponSelect;
     const selection = [];
@@ -311,10 +857,10 @@ export class UIManager {
     const renderUI = () => {
       container.innerHTML = `
         <h2>Select Your Weapons</h2>
-        <p class="subtitle">Pick 3 weapons for yourself. Duplicates allowed.</p>
+        <p class="subtitle">Playing against ${escapeHtml(opponent)}. Pick 3 weapons for yourself. Duplicates allowed.</p>
         <div class="weapon-grid">
-          ${C.WEAPON_LIST.map(id => {
-            const w = C.WEAPON_DEFS[id];
+          ${WEAPON_LIST.map(id => {
+            const w = WEAPON_DEFS[id];
             return `
               <div class="weapon-card" data-weapon="${id}">
                 <div class="weapon-name">${w.name}</div>
@@ -334,7 +880,7 @@ export class UIManager {
             <div class="slots">
               ${[0, 1, 2].map(si => {
                 const wId = selection[si];
-                const name = wId ? C.WEAPON_DEFS[wId].name : '(empty)';
+                const name = wId ? WEAPON_DEFS[wId].name : '(empty)';
                 return `<span class="slot ${wId ? 'filled' : ''}"
                   data-slot="${si}">${name}</span>`;
               }).join('')}
@@ -380,95 +926,159 @@ export class UIManager {
 
   // ─── Keybinds (Online) ────────────────────────────────────
 
-  setupKeybindsOnline(inputManager, onDone) {
+  /**
+   * profiles — the ProfileStore our player picks from. The input delay
+   * select pins one in the profile (null = auto from the measured ping,
+   * see updatePing).
+   */
+  setupKeybindsOnline(inputManager, profiles, onDone) {
     this.showScreen('keybindScreen');
+    this._pingText = 'Ping: measuring...';
     const container = this.screens.keybindScreen;
-    const actions = ['left', 'right', 'crouch', 'weapon1', 'weapon2', 'weapon3'];
-    const actionLabels = {
-      left: 'Move Left', right: 'Move Right', crouch: 'Crouch',
-      weapon1: 'Weapon 1', weapon2: 'Weapon 2', weapon3: 'Weapon 3',
-    };
-
-    let rebinding = null;
+    // rebinding: { player, action, pad } while capturing; status: last profile message
+    const state = { rebinding: null, status: '' };
 
     const renderUI = () => {
-      const binds = inputManager.getBinds(0);
+      inputManager.autoAssignGamepads();
+      const pad = inputManager.gamepadFor(0);
+      const pin = inputManager.profiles[0].options.delayPin;
       container.innerHTML = `
         <h2>Your Keybindings</h2>
-        <p class="subtitle">Click a key to rebind. Gamepads auto-mapped.</p>
-        <div class="keybind-table" style="width:260px">
+        <p class="subtitle">Click a key or pad binding, then press the new one. Esc cancels a pad capture.</p>
+        ${profileControls(profiles, inputManager, 0, 'Profile', false)}
+        <div class="pad-assign">
+          ${gamepadSelect(inputManager, 0, 'Controller')}
+        </div>
+        <div class="keybind-table" style="width:360px">
           <div class="keybind-header">
-            <span>Action</span><span>Key</span>
+            <span>Action</span><span>Key</span><span>Pad</span>
           </div>
-          ${actions.map(action => {
-            const isReb = rebinding && rebinding.action === action;
-            return `
-              <div class="keybind-row">
-                <span class="action-label">${actionLabels[action]}</span>
-                <button class="keybind-btn ${isReb ? 'rebinding' : ''}"
-                  data-action="${action}">
-                  ${isReb ? '...' : keyName(binds[action])}
-                </button>
-              </div>
-            `;
-          }).join('')}
+          ${ACTIONS.map(action => `
+            <div class="keybind-row">
+              <span class="action-label">${ACTION_LABELS[action]}</span>
+              ${keyCell(inputManager, 0, action, state.rebinding)}
+              ${padCell(inputManager, pad, 0, action, state.rebinding)}
+            </div>
+          `).join('')}
+        </div>
+        <div class="delay-setting">
+          <label for="delayPinSelect">Input delay</label>
+          <select id="delayPinSelect">
+            <option value="auto" ${pin === null ? 'selected' : ''}>Auto</option>
+            ${Array.from({ length: C.INPUT_DELAY_MAX + 1 }, (_, n) => `
+              <option value="${n}" ${pin === n ? 'selected' : ''}>${n} frame${n === 1 ? '' : 's'}</option>
+            `).join('')}
+          </select>
+          <span id="pingDisplay">${this._pingText}</span>
         </div>
         <button id="resetBindsBtn" class="btn btn-secondary">Reset to Defaults</button>
         <button id="keybindDoneBtn" class="btn btn-primary">Ready!</button>
+        ${profileFileRow(state.status)}
       `;
 
-      container.querySelectorAll('.keybind-btn').forEach(btn => {
-        btn.onclick = async () => {
-          if (rebinding) return;
-          const action = btn.dataset.action;
-          rebinding = { action };
-          renderUI();
-
-          const code = await inputManager.waitForKey();
-          inputManager.rebind(0, action, code);
-          rebinding = null;
-          renderUI();
-        };
-      });
+      this._wireBindControls(container, inputManager, profiles, state, renderUI);
 
       document.getElementById('resetBindsBtn').onclick = () => {
-        for (const action of actions) {
+        for (const action of ACTIONS) {
           inputManager.rebind(0, action, C.DEFAULT_BINDS[0][action]);
         }
+        if (pad) inputManager.resetGamepadLayout(0, pad.id);
         renderUI();
       };
 
+      const select = document.getElementById('delayPinSelect');
+      select.onchange = () => {
+        inputManager.setOption(0, 'delayPin', select.value === 'auto' ? null : parseInt(select.value));
+      };
+
       document.getElementById('keybindDoneBtn').onclick = onDone;
     };
 
+    this._watchGamepads(container, inputManager, state, renderUI);
     renderUI();
   }
 
+  /** Online keybind screen: show the measured ping and the delay it maps to. */
+  updatePing(rttMs, autoDelay) {
+    this._pingText = `Ping: ${Math.round(rttMs)} ms (auto: ${autoDelay} frame${autoDelay === 1 ? '' : 's'})`;
+    const el = document.getElementById('pingDisplay');
+    if (el) el.textContent = this._pingText;
+  }
+
   // ─── Waiting Screen ───────────────────────────────────────
 
   showWaiting(message) {
     this.showScreen('weaponSelect');
     const container = this.screens.weaponSelect;
     container.innerHTML = `
-      <h2>${message}</h2>
+      <h2>${escapeHtml(message)}</h2>
       <div class="waiting-spinner"></div>
     `;
   }
 
+  /** The peer can't play with us (see handshake.js): say why, offer the way out. */
+  showIncompatible(reason, onBack) {
+    this.showScreen('weaponSelect');
+    const container = this.screens.weaponSelect;
+    container.innerHTML = `
+      <h2>Can't Play Together</h2>
+      <p class="incompatible-reason">${escapeHtml(reason)}</p>
+      <button id="incompatibleBackBtn" class="btn btn-secondary">Back to Title</button>
+    `;
+    document.getElementById('incompatibleBackBtn').onclick = onBack;
+  }
+
   // ─── Victory Screen ────────────────────────────────────────
 
-  showVictory(winner, onChoice) {
+  /**
+   * state — the match's final game state, for the round tally (best-of-3
+   * and up only).
+   * options.spectating — offer "Keep Watching" instead of rematch/reselect.
+   * options.cause — how the match ended, if not in the ring (e.g. a forfeit).
+   * options.disconnected — no peer to rematch with, only offer the title.
+   * options.names — [p1, p2] display names (online), else "Player N".
+   */
+  showVictory(winner, state, onChoice, stats, options = {}) {
     this.showScreen('victoryScreen');
     const container = this.screens.victoryScreen;
-    const text = winner === 2 ? 'DRAW!' : `Player ${winner + 1} Wins!`;
+    const text = winner === 2 ? 'DRAW!'
+      : options.names ? `${escapeHtml(options.names[winner])} Wins!`
+      : `Player ${winner + 1} Wins!`;
+    // Rounds won outright; drawn rounds (which score for both) counted apart
+    const [w1, w2] = state.roundWins.map(w => w - state.roundDraws);
+    const draws = state.roundDraws ? ` <span class="match-draws">(${state.roundDraws} drawn)</span>` : '';
+    const score = state.rules.bestOf > 1
+      ? `<p class="match-score">${w1} - ${w2}${draws}</p>`
+      : '';
+    const rows = stats ? [
+      ['Hits', stats.hits],
+      ['Blocks', stats.blocks],
+      ['Parries', stats.parries],
+      ['Throws', stats.throws],
+    ].map(([label, v]) => `<tr><td>${v[0]}</td><th>${label}</th><td>${v[1]}</td></tr>`).join('') : '';
+    const table = stats
+      ? `<table class="match-stats"><tr><td>P1</td><th></th><td>P2</td></tr>${rows}</table>`
+      : '';
+    const cause = options.cause ? `<p class="match-cause">${escapeHtml(options.cause)}</p>` : '';
+    const buttons = options.spectating
+      ? `<button id="keepWatchingBtn" class="btn btn-primary">Keep Watching</button>`
+      : options.disconnected ? ''
+      : `<button id="playAgainBtn" class="btn btn-primary">Play Again</button>
+         <button id="reselectBtn" class="btn btn-secondary">Reselect Weapons</button>`;
     container.innerHTML = `
       <h2>${text}</h2>
-      <button id="playAgainBtn" class="btn btn-primary">Play Again</button>
-      <button id="reselectBtn" class="btn btn-secondary">Reselect Weapons</button>
+      ${cause}
+      ${score}
+      ${table}
+      ${buttons}
       <button id="backToTitleBtn" class="btn btn-secondary">Back to Title</button>
     `;
-    document.getElementById('playAgainBtn').onclick = () => onChoice('rematch');
-    document.getElementById('reselectBtn').onclick = () => onChoice('reselect');
+    if (options.spectating) {
+      document.getElementById('keepWatchingBtn').onclick = () => onChoice('spectate');
+    } else if (!options.disconnected) {
+      document.getElementById('playAgainBtn').onclick = () => onChoice('rematch');
+      document.getElementById('reselectBtn').onclick = () => onChoice('reselect');
+    }
     document.getElementById('backToTitleBtn').onclick = () => onChoice('title');
   }
 }
@@ -0,0 +1,174 @@
+/**
+ * Boomerang — 4 flight paths alternating by throw stance, limited ammo,
+ * recovered when it returns to its owner.
+ */
+import * as C from '../constants.js';
+import { resolveProjectileHit } from '../combat.js';
+import { emitEvent } from '../events.js';
+import { fx, toPx, idiv, fxSin, ANGLE_HALF, SIN_ONE } from '../fixed.js';
+import { WEAPON_COLORS } from './palette.js';
+
+export const boomerang = {
+  def: {
+    id: 'boomerang',
+    name: 'Boomerang',
+    type: 'projectile',
+    attackFrames: 18,
+    projectileSpawnFrame: 4,
+    damage: 1,
+    knockback: { distance: 16, speed: 4 },
+    blockPushback: { distance: 8, speed: 2 },
+    speed: 5,
+    description: '4 flight paths, 10 ammo. Recovered on catch.',
+  },
+
+  // Heavier than a knife — plows through it and keeps flying
+  clash: { throwingKnife: 'win' },
+
+  canAttack(p) {
+    return p.boomerangsHeld > 0;
+  },
+
+  ammo(p) {
+    return p.boomerangsHeld;
+  },
+
+  spawn(state, idx) {
+    const p = state.players[idx];
+    if (p.boomerangsHeld <= 0) return;
+    p.boomerangsHeld--;
+
+    let path;
+    if (p.attackStance === 'crouching') {
+      path = (p.crouchThrowCount % 2 === 0) ? 1 : 2;
+      p.crouchThrowCount++;
+    } else {
+      path = (p.standThrowCount % 2 === 0) ? 3 : 4;
+      p.standThrowCount++;
+    }
+
+    state.projectiles.push({
+      weapon: 'boomerang',
+      owner: idx,
+      x: p.x + (p.facing === 1 ? fx(C.PLAYER_WIDTH) : 0),
+      y: startY(path),
+      direction: p.facing,
+      speed: fx(this.def.speed),
+      damage: this.def.damage,
+      knockback: this.def.knockback,
+      blockPushback: this.def.blockPushback,
+      flightPath: path,
+      phase: 'outbound',
+      distanceTraveled: 0,
+      height: outboundHeight(path),
+      active: true,
+    });
+  },
+
+  update(state, proj) {
+    proj.x += proj.direction * proj.speed;
+    proj.distanceTraveled += proj.speed;
+
+    if (proj.phase === 'outbound') {
+      // Visual y for arcing paths — half a sine wave over the full range
+      const range = fx(C.BOOMERANG_RANGE);
+      const angle = idiv(proj.distanceTraveled * ANGLE_HALF, range);
+      const arc = idiv(fx(C.BOOMERANG_ARC_AMPLITUDE) * fxSin(angle), SIN_ONE);
+      if (proj.flightPath === 1) {
+        proj.y = fx(C.ANKLE_Y) + arc;
+        proj.height = 'none';
+      } else if (proj.flightPath === 4) {
+        proj.y = fx(C.HEAD_Y) - arc;
+        proj.height = 'none';
+      }
+      // Paths 2 & 3 keep their initial y and height (set at spawn)
+
+      if (proj.distanceTraveled >= range) {
+        proj.phase = 'returning';
+        proj.direction *= -1;
+        proj.distanceTraveled = 0;
+        proj.height = returnHeight(proj.flightPath);
+        proj.y = returnY(proj.flightPath);
+      }
+    } else {
+      // Returning — fixed y/height (set when phase switched)
+      // Check catch by owner
+      const owner = state.players[proj.owner];
+      const ownerCX = owner.x + fx(C.PLAYER_WIDTH / 2);
+      if (Math.abs(proj.x - ownerCX) < fx(28)) {
+        proj.active = false;
+        owner.boomerangsHeld = Math.min(owner.boomerangsHeld + 1, C.BOOMERANG_MAX);
+        emitEvent(state, 'catch', { player: proj.owner, weapon: 'boomerang', x: proj.x, y: proj.y });
+        return;
+      }
+
+      if (proj.x < fx(-50) || proj.x > fx(C.CANVAS_WIDTH + 50)) {
+        proj.active = false;
+      }
+    }
+  },
+
+  hit: resolveProjectileHit,
+
+  drawInHand(ctx, facing) {
+    const dir = facing;
+    // V-shape boomerang
+    ctx.strokeStyle = WEAPON_COLORS.boomerang;
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    ctx.moveTo(dir * -4, -5);
+    ctx.lineTo(dir * 2, 0);
+    ctx.lineTo(dir * -4, 5);
+    ctx.stroke();
+  },
+
+  drawProjectile(ctx, proj, frame) {
+    ctx.save();
+    ctx.translate(toPx(proj.x), toPx(proj.y));
+
+    const angle = frame * 0.3;
+    ctx.rotate(angle);
+
+    ctx.fillStyle = WEAPON_COLORS.boomerang;
+    ctx.beginPath();
+    ctx.moveTo(0, -6);
+    ctx.lineTo(6, 0);
+    ctx.moveTo(0, 6);
+    ctx.lineTo(-6, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = WEAPON_COLORS.boomerangEdge;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    if (proj.height === 'none') {
+      ctx.globalAlpha = 0.4;
+      ctx.fillStyle = proj.y > fx(C.GROUND_Y) ? '#553300' : '#AADDFF';
+      ctx.beginPath();
+      ctx.arc(0, 0, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+
+    ctx.restore();
+  },
+};
+
+function startY(path) {
+  return fx((path <= 2) ? C.ANKLE_Y : C.HEAD_Y);
+}
+
+function outboundHeight(path) {
+  // Paths 1 & 4 arc out of play (no collision on outbound)
+  if (path === 1 || path === 4) return 'none';
+  return (path === 2) ? 'ankle' : 'head';
+}
+
+function returnHeight(path) {
+  // 1→ankle, 2→head, 3→ankle, 4→head
+  return (path === 1 || path === 3) ? 'ankle' : 'head';
+}
+
+function returnY(path) {
+  return fx(returnHeight(path) === 'ankle' ? C.ANKLE_Y : C.HEAD_Y);
+}
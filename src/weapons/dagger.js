@@ -0,0 +1,36 @@
+import { createMeleeWeapon } from './melee.js';
+import { WEAPON_COLORS } from './palette.js';
+
+export const dagger = createMeleeWeapon({
+  id: 'dagger',
+  name: 'Dagger',
+  range: 20,
+  attackFrames: 14,
+  activeStart: 4,
+  activeEnd: 8,
+  damage: 1,
+  knockback: { distance: 12, speed: 3 },
+  blockPushback: { distance: 8, speed: 2 },
+  description: 'Short range, fast attacks.',
+}, drawDagger);
+
+function drawDagger(ctx, facing, wDef) {
+  const dir = facing;
+  const bladeLen = wDef.range;
+
+  // Short blade
+  ctx.strokeStyle = WEAPON_COLORS.steel;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.lineTo(dir * bladeLen, -1);
+  ctx.stroke();
+
+  // Small guard
+  ctx.strokeStyle = WEAPON_COLORS.handle;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(dir * 1, -3);
+  ctx.lineTo(dir * 1, 3);
+  ctx.stroke();
+}
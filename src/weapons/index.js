@@ -0,0 +1,49 @@
+/**
+ * Weapon registry — each weapon is a single module that owns its tuning
+ * values (`def`) and its behavior hooks. Adding a weapon means writing the
+ * module and registering it below; nothing else needs to change.
+ *
+ * Weapon shape:
+ *   def                              tuning values ({ id, name, type: 'melee'|'projectile', ... })
+ *   canAttack(player)        opt.    return false to refuse the attack (e.g. out of ammo)
+ *   checkHit(state, atkIdx)  melee   per-frame hit test while the owner is attacking
+ *   spawn(state, idx)        proj.   create the projectile at def.projectileSpawnFrame
+ *   update(state, proj)      proj.   per-frame projectile movement
+ *   hit(state, proj, defIdx) proj.   projectile touches a non-owner player
+ *   clash                    opt.    { [otherId]: 'win'|'lose'|'trade' } vs. opposing
+ *                                    projectiles at the same height (default 'trade')
+ *   ammo(player)             opt.    ammo count for the HUD
+ *   drawInHand(ctx, facing, def)     draw the held weapon, origin at the hand
+ *   drawProjectile(ctx, proj, frame) proj.  draw the projectile in flight
+ *
+ * Simulation hooks must stay deterministic — they run inside simulateFrame.
+ */
+import { sword } from './sword.js';
+import { dagger } from './dagger.js';
+import { spear } from './spear.js';
+import { boomerang } from './boomerang.js';
+import { throwingKnife } from './throwingKnife.js';
+
+const registry = {};
+
+/** Weapon tuning values by id (the registered weapons' `def`s). */
+export const WEAPON_DEFS = {};
+export const WEAPON_LIST = [];
+
+export function registerWeapon(weapon) {
+  const id = weapon.def.id;
+  if (registry[id]) throw new Error(`Weapon "${id}" is already registered`);
+  registry[id] = weapon;
+  WEAPON_DEFS[id] = weapon.def;
+  WEAPON_LIST.push(id);
+}
+
+export function getWeapon(id) {
+  return registry[id] || null;
+}
+
+registerWeapon(sword);
+registerWeapon(dagger);
+registerWeapon(spear);
+registerWeapon(boomerang);
+registerWeapon(throwingKnife);
@@ -0,0 +1,116 @@
+/**
+ * Shared melee behavior — sword, dagger and spear differ only in their
+ * tuning values and how they are drawn.
+ *
+ * Slashes are live from `activeStart` to `activeEnd` (inclusive) and hit
+ * each target at most once per swing. Their shape per frame comes from the
+ * optional `hitboxes` list in the weapon def:
+ *
+ *   { from, to, x, w, y, h }   frames from..to (inclusive, counted like
+ *                              activeStart); x/w: reach forward of the
+ *                              attacker's front edge; y/h: span inside the
+ *                              high/low attack band (default: the full band)
+ *
+ * Active frames without a listed box have no hitbox; without a `hitboxes`
+ * list the whole window uses one box, `range` long. Aerial thrusts reach
+ * `range` straight down (down-thrust) or up (up-thrust) across the
+ * attacker's body width.
+ */
+import * as C from '../constants.js';
+import { resolveHit, bodyOverlaps } from '../combat.js';
+import { fx } from '../fixed.js';
+
+export function createMeleeWeapon(def, drawInHand) {
+  const wDef = { type: 'melee', ...def };
+  return {
+    def: wDef,
+    checkHit: (state, atkIdx) => checkMeleeHit(state, atkIdx, wDef),
+    drawInHand,
+  };
+}
+
+function checkMeleeHit(state, atkIdx, wDef) {
+  const atk = state.players[atkIdx];
+
+  const defIdx = 1 - atkIdx;
+  const def = state.players[defIdx];
+  if (def.state === 'hitstun') return; // can't hit during hitstun
+  if (atk.attackHitMask & (1 << defIdx)) return; // already hit this swing
+
+  // Down-thrust stays active for the whole fall
+  if (atk.attackKind === 'downthrust') {
+    checkThrust(state, atkIdx, wDef);
+    return;
+  }
+
+  const elapsed = wDef.attackFrames - atk.stateTimer;
+  if (elapsed < wDef.activeStart || elapsed > wDef.activeEnd) return;
+
+  if (atk.attackKind === 'normal') {
+    const box = getHitbox(wDef, elapsed);
+    if (box) checkSlash(state, atkIdx, wDef, box);
+  } else {
+    checkThrust(state, atkIdx, wDef);
+  }
+}
+
+/** The slash hitbox for an active frame, or null if that frame has none. */
+function getHitbox(wDef, elapsed) {
+  if (!wDef.hitboxes) return { x: 0, w: wDef.range };
+  for (const box of wDef.hitboxes) {
+    if (elapsed >= box.from && elapsed <= box.to) return box;
+  }
+  return null;
+}
+
+function checkSlash(state, atkIdx, wDef, box) {
+  const atk = state.players[atkIdx];
+  const defIdx = 1 - atkIdx;
+  const def = state.players[defIdx];
+
+  // Reach check — the box extends forward from the attacker's front edge;
+  // the defender spans [dist, dist + width] along the same axis
+  const atkEdge = atk.x + (atk.facing === 1 ? fx(C.PLAYER_WIDTH) : 0);
+  const defNear = atk.facing === 1 ? def.x : def.x + fx(C.PLAYER_WIDTH);
+  const dist = (defNear - atkEdge) * atk.facing;
+
+  if (dist + fx(C.PLAYER_WIDTH) < fx(box.x) || dist > fx(box.x + box.w)) return;
+
+  // Height check — the band moves with the attacker's feet
+  const attackHeight = atk.attackStance === 'standing' ? 'high' : 'low';
+  const band = attackHeight === 'high' ? C.HIGH_ATTACK_BAND : C.LOW_ATTACK_BAND;
+  const lo = band[0] + (box.y || 0);
+  const hi = box.h !== undefined ? lo + box.h : band[1];
+  if (!bodyOverlaps(def, atk.y + fx(lo), atk.y + fx(hi))) return;
+
+  atk.attackHitMask |= 1 << defIdx;
+  resolveHit(state, atkIdx, defIdx, attackHeight, wDef);
+}
+
+function checkThrust(state, atkIdx, wDef) {
+  const atk = state.players[atkIdx];
+  const def = state.players[1 - atkIdx];
+
+  // Horizontal — the blade covers the attacker's own body width
+  if (Math.abs(atk.x - def.x) >= fx(C.PLAYER_WIDTH)) return;
+
+  const down = atk.attackKind === 'downthrust';
+  const lo = down ? atk.y - fx(wDef.range) : atk.y + fx(C.PLAYER_STAND_HEIGHT);
+  const hi = down ? atk.y : lo + fx(wDef.range);
+  if (!bodyOverlaps(def, lo, hi)) return;
+
+  atk.attackHitMask |= 1 << (1 - atkIdx);
+  resolveHit(state, atkIdx, 1 - atkIdx, down ? 'overhead' : 'rising', wDef);
+  if (!down) return;
+
+  // Down-thrust: pogo off a hit and keep thrusting (each bounce is a new
+  // swing); a blocked thrust glances off the shield and the attacker just falls
+  if (def.state === 'hitstun') {
+    atk.vy = fx(C.THRUST_BOUNCE_VELOCITY);
+    atk.attackHitMask = 0;
+  } else if (atk.state === 'attacking') {
+    atk.state = 'idle';
+    atk.activeWeapon = null;
+    atk.attackKind = 'normal';
+  }
+}
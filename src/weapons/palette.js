@@ -0,0 +1,9 @@
+/** Colors shared by the weapon render hooks. */
+export const WEAPON_COLORS = {
+  steel: '#C0C0C0',
+  handle: '#8B4513',
+  spearShaft: '#D2B48C',
+  knife: '#CCCCCC',
+  boomerang: '#DD8800',
+  boomerangEdge: '#AA6600',
+};
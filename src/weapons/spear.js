@@ -0,0 +1,45 @@
+import { createMeleeWeapon } from './melee.js';
+import { WEAPON_COLORS } from './palette.js';
+
+export const spear = createMeleeWeapon({
+  id: 'spear',
+  name: 'Spear',
+  range: 50,
+  attackFrames: 36,
+  activeStart: 12,
+  activeEnd: 20,
+  // Thrust: full length on the lunge, then only the tip stays dangerous
+  hitboxes: [
+    { from: 12, to: 14, x: 0, w: 50 },
+    { from: 15, to: 20, x: 38, w: 12 },
+  ],
+  damage: 1,
+  knockback: { distance: 36, speed: 6 },
+  blockPushback: { distance: 20, speed: 4 },
+  description: 'Long range, slow attacks.',
+}, drawSpear);
+
+function drawSpear(ctx, facing, wDef) {
+  const dir = facing;
+  const shaftLen = wDef.range;
+  const headLen = 6;
+
+  // Long shaft
+  ctx.strokeStyle = WEAPON_COLORS.spearShaft;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(-dir * 3, 0);
+  ctx.lineTo(dir * shaftLen, 0);
+  ctx.stroke();
+
+  // Spearhead (triangle)
+  ctx.fillStyle = WEAPON_COLORS.steel;
+  ctx.beginPath();
+  ctx.moveTo(dir * shaftLen, 0);
+  ctx.lineTo(dir * (shaftLen + headLen), 0);
+  ctx.lineTo(dir * shaftLen, -3);
+  ctx.moveTo(dir * shaftLen, 0);
+  ctx.lineTo(dir * (shaftLen + headLen), 0);
+  ctx.lineTo(dir * shaftLen, 3);
+  ctx.fill();
+}
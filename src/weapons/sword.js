@@ -0,0 +1,47 @@
+import { createMeleeWeapon } from './melee.js';
+import { WEAPON_COLORS } from './palette.js';
+
+export const sword = createMeleeWeapon({
+  id: 'sword',
+  name: 'Sword',
+  range: 35,
+  attackFrames: 24,
+  activeStart: 7,
+  activeEnd: 13,
+  // Arc: the blade comes down from overhead, sweeps out to full reach,
+  // then drops and pulls in
+  hitboxes: [
+    { from: 7, to: 8, x: 0, w: 22, y: 12 },
+    { from: 9, to: 11, x: 0, w: 35 },
+    { from: 12, to: 13, x: 0, w: 26, h: 14 },
+  ],
+  damage: 1,
+  knockback: { distance: 24, speed: 4 },
+  blockPushback: { distance: 12, speed: 3 },
+  description: 'Moderate range, moderate speed.',
+}, drawSword);
+
+function drawSword(ctx, facing, wDef) {
+  const dir = facing;
+  const bladeLen = wDef.range;
+
+  // Blade
+  ctx.strokeStyle = WEAPON_COLORS.steel;
+  ctx.lineWidth = 2.5;
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.lineTo(dir * bladeLen, -1);
+  ctx.stroke();
+
+  // Crossguard
+  ctx.strokeStyle = WEAPON_COLORS.handle;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(dir * 1, -4);
+  ctx.lineTo(dir * 1, 4);
+  ctx.stroke();
+
+  // Handle nub
+  ctx.fillStyle = WEAPON_COLORS.handle;
+  ctx.fillRect(-dir * 2 - 1, -1.5, 3, 3);
+}
@@ -0,0 +1,87 @@
+/**
+ * Throwing knife — straight line at the thrower's stance height.
+ */
+import * as C from '../constants.js';
+import { resolveProjectileHit, reflectProjectile } from '../combat.js';
+import { fx, toPx } from '../fixed.js';
+import { WEAPON_COLORS } from './palette.js';
+
+export const throwingKnife = {
+  def: {
+    id: 'throwingKnife',
+    name: 'Throwing Knife',
+    type: 'projectile',
+    attackFrames: 10,
+    projectileSpawnFrame: 2,
+    damage: 1,
+    knockback: { distance: 8, speed: 4 },
+    blockPushback: { distance: 4, speed: 2 },
+    speed: 8,
+    description: 'Fast, straight. Enemies can duck under.',
+  },
+
+  clash: { boomerang: 'lose' },
+
+  spawn(state, idx) {
+    const p = state.players[idx];
+    const isLow = p.attackStance === 'crouching';
+    state.projectiles.push({
+      weapon: 'throwingKnife',
+      owner: idx,
+      x: p.x + (p.facing === 1 ? fx(C.PLAYER_WIDTH) : 0),
+      y: fx(isLow ? C.ANKLE_Y : C.HEAD_Y),
+      direction: p.facing,
+      speed: fx(this.def.speed),
+      damage: this.def.damage,
+      knockback: this.def.knockback,
+      blockPushback: this.def.blockPushback,
+      height: isLow ? 'ankle' : 'head',
+      active: true,
+    });
+  },
+
+  update(_state, proj) {
+    proj.x += proj.direction * proj.speed;
+    if (proj.x < fx(-50) || proj.x > fx(C.CANVAS_WIDTH + 50)) proj.active = false;
+  },
+
+  // A parried knife flies back at its thrower
+  hit(state, proj, defIdx) {
+    resolveProjectileHit(state, proj, defIdx, reflectProjectile);
+  },
+
+  drawInHand(ctx, facing) {
+    const dir = facing;
+    // Small blade
+    ctx.fillStyle = WEAPON_COLORS.steel;
+    ctx.beginPath();
+    ctx.moveTo(dir * 8, 0);
+    ctx.lineTo(dir * 1, -2.5);
+    ctx.lineTo(dir * 1, 2.5);
+    ctx.closePath();
+    ctx.fill();
+
+    // Tiny handle
+    ctx.strokeStyle = WEAPON_COLORS.handle;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(-dir * 4, 0);
+    ctx.stroke();
+  },
+
+  drawProjectile(ctx, proj) {
+    ctx.fillStyle = WEAPON_COLORS.knife;
+    ctx.save();
+    ctx.translate(toPx(proj.x), toPx(proj.y));
+
+    ctx.beginPath();
+    ctx.moveTo(proj.direction * 10, 0);
+    ctx.lineTo(-proj.direction * 3, -3);
+    ctx.lineTo(-proj.direction * 3, 3);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+  },
+};
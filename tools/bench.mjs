@@ -0,0 +1,126 @@
+/**
+ * Simulation / rollback benchmark.
+ *
+ *   node tools/bench.mjs [frames]
+ *
+ * Plays a scripted match with pseudo-random inputs and reports frames per
+ * millisecond for:
+ *   json      the old path — JSON clone + step every frame
+ *   simulate  simulateFrame (structural clone + step)
+ *   step      stepFrame in place (no clone)
+ *   rollback  RollbackManager.tick with remote input arriving
+ *             ROLLBACK_MAX_FRAMES late and always mispredicted, so every
+ *             tick rolls back and resimulates the full window
+ */
+import * as C from '../src/constants.js';
+import { createGameState, createEmptyInput } from '../src/state.js';
+import { simulateFrame, stepFrame } from '../src/simulation.js';
+import { RollbackManager } from '../src/rollback.js';
+
+const FRAMES = Number(process.argv[2]) || 20000;
+const WEAPONS = [['sword', 'boomerang', 'throwingKnife'], ['spear', 'dagger', 'boomerang']];
+const KEYS = Object.keys(createEmptyInput());
+
+// ─── Inputs ──────────────────────────────────────────────────
+
+/** Deterministic input script: each key toggles with a small chance per frame. */
+function makeInputs(count, seed) {
+  const rnd = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+  const held = [createEmptyInput(), createEmptyInput()];
+  const out = [];
+  for (let f = 0; f < count; f++) {
+    for (const h of held) {
+      for (const k of KEYS) if (rnd() < 0.08) h[k] = !h[k];
+    }
+    out.push([{ ...held[0] }, { ...held[1] }]);
+  }
+  return out;
+}
+
+function newMatch() {
+  // Long best-of so the match doesn't end before the script does
+  return createGameState(WEAPONS[0], WEAPONS[1], { bestOf: 99 });
+}
+
+// ─── Runs ────────────────────────────────────────────────────
+
+function runJson(inputs) {
+  let s = newMatch();
+  for (const [a, b] of inputs) s = stepFrame(JSON.parse(JSON.stringify(s)), a, b);
+  return s;
+}
+
+function runSimulate(inputs) {
+  let s = newMatch();
+  for (const [a, b] of inputs) s = simulateFrame(s, a, b);
+  return s;
+}
+
+function runStep(inputs) {
+  const s = newMatch();
+  for (const [a, b] of inputs) stepFrame(s, a, b);
+  return s;
+}
+
+/** Host-side manager; the guest's input for frame f arrives after tick f + LAG. */
+function runRollback(inputs) {
+  const LAG = C.ROLLBACK_MAX_FRAMES - 1;
+  const rb = new RollbackManager();
+  let s = newMatch();
+  rb.reset(s);
+
+  const send = () => {};
+  const flip = (inp) => ({ ...inp, left: !inp.left });
+  let resimulated = 0;
+
+  for (let t = 0; t < inputs.length; t++) {
+    const late = t - LAG;
+    if (late >= 0) {
+      // Flip a key so the prediction (last confirmed input) is always wrong
+      const inp = late % 2 ? flip(inputs[late][1]) : inputs[late][1];
+      rb.receiveInputs({ type: 'input', startFrame: late, inputs: [inp] });
+    }
+    const before = rb.stats.rollbacks;
+    const next = rb.tick(s, inputs[t][0], true, send);
+    if (next) s = next;
+    if (rb.stats.rollbacks > before) resimulated += LAG;
+    rb.events.drain();
+  }
+  return { state: s, rollbacks: rb.stats.rollbacks, resimulated };
+}
+
+function time(fn) {
+  const t0 = performance.now();
+  const result = fn();
+  return { ms: performance.now() - t0, result };
+}
+
+// ─── Main ────────────────────────────────────────────────────
+
+const inputs = makeInputs(FRAMES, 12345);
+
+// Warm up the JIT on a short run of each path
+const warm = inputs.slice(0, 2000);
+runJson(warm);
+runSimulate(warm);
+runStep(warm);
+runRollback(warm);
+
+const rows = [];
+for (const [name, fn] of [['json', runJson], ['simulate', runSimulate], ['step', runStep]]) {
+  const { ms } = time(() => fn(inputs));
+  rows.push({ path: name, frames: FRAMES, ms: ms.toFixed(1), 'frames/ms': (FRAMES / ms).toFixed(1) });
+}
+
+const rb = time(() => runRollback(inputs));
+const simulated = FRAMES + rb.result.resimulated;
+rows.push({
+  path: 'rollback',
+  frames: simulated,
+  ms: rb.ms.toFixed(1),
+  'frames/ms': (simulated / rb.ms).toFixed(1),
+  'ticks/ms': (FRAMES / rb.ms).toFixed(1),
+  rollbacks: rb.result.rollbacks,
+});
+
+console.table(rows);
@@ -0,0 +1,143 @@
+/**
+ * Input buffer check (see INPUT_BUFFER_FRAMES and bufferPress in
+ * src/simulation.js).
+ *
+ *   node tools/input-buffer.mjs
+ *
+ * Plays scripted weapon presses for player 1 while they can't act —
+ * blockstun, hitstop, or both — and checks on which frame the attack
+ * comes out, with which weapon, and that it comes out only once. Exits
+ * non-zero if any case fails.
+ */
+import * as C from '../src/constants.js';
+import { createGameState, createEmptyInput } from '../src/state.js';
+import { stepFrame } from '../src/simulation.js';
+
+// One weapon per slot, so the attack tells which press fired
+const WEAPONS = ['sword', 'dagger', 'spear'];
+const WINDOW = C.INPUT_BUFFER_FRAMES;
+const FRAMES = 40;
+
+let failures = 0;
+let cases = 0;
+
+function check(name, actual, expected) {
+  cases++;
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    failures++;
+    console.error(`FAIL ${name}\n  expected ${e}\n  actual   ${a}`);
+  }
+}
+
+/**
+ * Run one scenario. stun — blockstun frames at the start; hitstop —
+ * frozen frames before that; presses — [key, from, to]: `key` held on
+ * frames from..to (a tap when from === to). Returns the frame each
+ * attack started on and its weapon.
+ */
+function run({ stun = 0, hitstop = 0, buffer, presses }) {
+  const state = createGameState(WEAPONS, WEAPONS, buffer === undefined ? {} : { inputBuffer: buffer });
+  state.phase = 'fight';
+  state.phaseTimer = 0;
+  state.hitstop = hitstop;
+  const p = state.players[0];
+  if (stun) {
+    p.state = 'blockstun';
+    p.stateTimer = stun;
+  }
+
+  const attacks = [];
+  const idle = createEmptyInput();
+  for (let f = 0; f < FRAMES; f++) {
+    const input = createEmptyInput();
+    for (const [key, from, to] of presses) if (f >= from && f <= to) input[key] = true;
+    const wasAttacking = p.state === 'attacking';
+    stepFrame(state, input, idle);
+    if (p.state === 'attacking' && !wasAttacking) attacks.push([f, p.activeWeapon]);
+  }
+  return attacks;
+}
+
+// ─── Blockstun ───────────────────────────────────────────────
+
+// Blockstun of STUN frames ends during frame STUN - 1: the first frame player 1 can act
+const STUN = 12;
+const ACTIONABLE = STUN - 1;
+
+for (let early = 0; early <= WINDOW + 2; early++) {
+  const tap = ACTIONABLE - early;
+  check(`blockstun: tap ${early} frame(s) before it ends`,
+    run({ stun: STUN, presses: [['weapon1', tap, tap]] }),
+    early <= WINDOW ? [[ACTIONABLE, 'sword']] : []);
+}
+
+for (let early = 0; early <= 2; early++) {
+  const tap = ACTIONABLE - early;
+  check(`blockstun, buffer off: tap ${early} frame(s) before it ends`,
+    run({ stun: STUN, buffer: 0, presses: [['weapon1', tap, tap]] }),
+    early === 0 ? [[ACTIONABLE, 'sword']] : []);
+}
+
+check('blockstun: a press held through it fires once',
+  run({ stun: STUN, presses: [['weapon2', ACTIONABLE - 2, FRAMES]] }),
+  [[ACTIONABLE, 'dagger']]);
+
+check('blockstun: the latest press wins, whatever its slot',
+  run({ stun: STUN, presses: [['weapon3', ACTIONABLE - 3, FRAMES], ['weapon1', ACTIONABLE - 1, FRAMES]] }),
+  [[ACTIONABLE, 'sword']]);
+
+check('blockstun: a later press of a higher slot wins too',
+  run({ stun: STUN, presses: [['weapon1', ACTIONABLE - 3, FRAMES], ['weapon3', ACTIONABLE - 1, FRAMES]] }),
+  [[ACTIONABLE, 'spear']]);
+
+// ─── Hitstop ─────────────────────────────────────────────────
+
+// Frozen frames 0..HITSTOP - 1; frame HITSTOP is the first one played
+const HITSTOP = 6;
+
+for (let f = 0; f < HITSTOP; f++) {
+  check(`hitstop: tap on frozen frame ${f}`,
+    run({ hitstop: HITSTOP, presses: [['weapon1', f, f]] }),
+    [[HITSTOP, 'sword']]);
+}
+
+check('hitstop: a press held through it fires once',
+  run({ hitstop: HITSTOP, presses: [['weapon2', 1, FRAMES]] }),
+  [[HITSTOP, 'dagger']]);
+
+check('hitstop: the latest press wins while both are held',
+  run({ hitstop: HITSTOP, presses: [['weapon3', 1, FRAMES], ['weapon1', 3, FRAMES]] }),
+  [[HITSTOP, 'sword']]);
+
+check('hitstop: a later press of a higher slot wins too',
+  run({ hitstop: HITSTOP, presses: [['weapon1', 1, FRAMES], ['weapon3', 3, FRAMES]] }),
+  [[HITSTOP, 'spear']]);
+
+check('hitstop: the earlier press stays replaced after release',
+  run({ hitstop: HITSTOP, presses: [['weapon1', 1, 1], ['weapon3', 3, 3]] }),
+  [[HITSTOP, 'spear']]);
+
+// ─── Hitstop, then blockstun ─────────────────────────────────
+
+// Frozen frames don't count against the window: it starts once play resumes
+const BLOCK_END = HITSTOP + ACTIONABLE;
+
+check('hitstop + blockstun: tap in hitstop has expired by the end of blockstun',
+  run({ hitstop: HITSTOP, stun: STUN, presses: [['weapon1', HITSTOP - 1, HITSTOP - 1]] }),
+  ACTIONABLE <= WINDOW ? [[BLOCK_END, 'sword']] : []);
+
+check(`hitstop + blockstun: tap ${WINDOW} frames before blockstun ends`,
+  run({ hitstop: HITSTOP, stun: STUN, presses: [['weapon2', BLOCK_END - WINDOW, BLOCK_END - WINDOW]] }),
+  [[BLOCK_END, 'dagger']]);
+
+check('hitstop + short blockstun: tap in hitstop fires when blockstun ends',
+  run({ hitstop: HITSTOP, stun: WINDOW, presses: [['weapon1', 0, 0]] }),
+  [[HITSTOP + WINDOW - 1, 'sword']]);
+
+if (failures) {
+  console.error(`${failures} of ${cases} case(s) failed`);
+  process.exit(1);
+}
+console.log(`input buffer ok (${cases} cases, window ${WINDOW})`);
@@ -0,0 +1,131 @@
+/**
+ * Round-trip check for the binary wire format (src/protocol.js).
+ *
+ *   node tools/protocol-roundtrip.mjs
+ *
+ * Encodes a scripted sequence of every message type with one encoder,
+ * decodes it with one decoder (so the frame deltas chain like on a real
+ * channel) and compares each result with the original. Also fuzzes input
+ * packing and frame deltas, and checks that malformed messages are rejected
+ * without throwing off the frame deltas that follow. Exits non-zero on the
+ * first mismatch and prints the size of each message against its JSON form.
+ */
+import { createEmptyInput } from '../src/state.js';
+import {
+  ProtocolEncoder, ProtocolDecoder, PROTOCOL_VERSION, INPUT_KEYS, packInput, unpackInput,
+} from '../src/protocol.js';
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    failures++;
+    console.error(`FAIL ${name}\n  expected ${e}\n  actual   ${a}`);
+  }
+}
+
+function input(bits) {
+  const inp = createEmptyInput();
+  INPUT_KEYS.forEach((k, i) => { inp[k] = (bits & (1 << i)) !== 0; });
+  return inp;
+}
+
+// ─── Scripted Messages ───────────────────────────────────────
+
+const messages = [
+  { type: 'weapons', weapons: ['sword', 'boomerang', 'throwingKnife'], bestOf: 3 },
+  { type: 'weapons', weapons: ['spear', 'dagger', 'sword'] },
+  { type: 'ready' },
+  { type: 'ready', delayPin: 0 },
+  { type: 'ready', delayPin: 5 },
+  { type: 'ping', id: 1 },
+  { type: 'pong', id: 300 },
+  { type: 'start', inputDelay: 3 },
+  { type: 'input', startFrame: 2, inputs: [input(0), input(0)], advantage: 0 },
+  { type: 'input', startFrame: 3, inputs: [input(1), input(0), input(0)], advantage: -3, ack: -1 },
+  { type: 'input', startFrame: 9000, inputs: [input(127), input(64), input(5), input(2)], advantage: 12 },
+  { type: 'input', startFrame: 8999, inputs: [input(64), input(5), input(2), input(1)], advantage: 11, ack: 8990 },
+  { type: 'input', startFrame: 9000, inputs: Array.from({ length: 48 }, (_, i) => input(i)), advantage: 0, ack: 8952 },
+  { type: 'input', startFrame: 9001, inputs: [input(3)] }, // no advantage (post-match flush)
+  { type: 'input', startFrame: 9002, inputs: [] },
+  { type: 'checksum', frame: 9000, hash: 0xdeadbeef },
+  { type: 'checksum', frame: 30, hash: 0 },
+  { type: 'spectateInputs', startFrame: 120, inputs: [[input(1), input(2)], [input(127), input(0)]] },
+  { type: 'desyncDump', frame: 30, state: { frame: 30, players: [] }, inputs: { startFrame: 0, local: [], remote: [] } },
+  { type: 'spectate', frame: 0, state: { frame: 0, text: 'ünïcödé ✓' }, inputs: [] },
+  { type: 'rematch' },
+  { type: 'reselect' },
+  { type: 'input', startFrame: 0, inputs: [input(0)], advantage: 0 }, // new match: frames start over
+];
+
+const encoder = new ProtocolEncoder();
+const decoder = new ProtocolDecoder();
+const rows = [];
+
+for (const msg of messages) {
+  const buf = encoder.encode(msg);
+  check(`${msg.type} is an ArrayBuffer`, buf instanceof ArrayBuffer, true);
+  check(`${msg.type} version byte`, new Uint8Array(buf)[0], PROTOCOL_VERSION);
+  check(`${msg.type} round trip`, decoder.decode(buf), msg);
+  rows.push({ type: msg.type, bytes: buf.byteLength, json: JSON.stringify(msg).length });
+}
+
+// ─── Fuzz ────────────────────────────────────────────────────
+
+for (let bits = 0; bits < 128; bits++) {
+  check(`pack ${bits}`, packInput(unpackInput(bits)), bits);
+}
+
+let seed = 1;
+const rnd = (n) => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) % n;
+let frame = 0;
+for (let i = 0; i < 5000; i++) {
+  // Mostly small steps, sometimes big jumps either way
+  frame = Math.max(0, frame + (rnd(10) === 0 ? rnd(1 << 20) - (1 << 19) : rnd(5) - 1));
+  const msg = {
+    type: 'input',
+    startFrame: frame,
+    inputs: Array.from({ length: rnd(5) }, () => input(rnd(128))),
+    advantage: rnd(41) - 20,
+    ack: frame - rnd(40),
+  };
+  check(`fuzz input ${i}`, decoder.decode(encoder.encode(msg)), msg);
+  if (failures > 10) break;
+}
+
+// ─── Malformed Input ─────────────────────────────────────────
+
+function expectThrow(name, bytes) {
+  try {
+    new ProtocolDecoder().decode(new Uint8Array(bytes).buffer);
+    failures++;
+    console.error(`FAIL ${name}: decoded without error`);
+  } catch { /* expected */ }
+}
+
+expectThrow('wrong version', [PROTOCOL_VERSION + 1, 3]);
+expectThrow('unknown type', [PROTOCOL_VERSION, 200]);
+expectThrow('truncated input', [PROTOCOL_VERSION, 1, 4, 0x83]);
+expectThrow('truncated ready', [PROTOCOL_VERSION, 3]);
+expectThrow('empty', []);
+
+// A message that fails to decode must not move the decoder's frame base
+{
+  const truncated = new ProtocolEncoder().encode({ type: 'input', startFrame: 50000, inputs: [input(1), input(2)] });
+  try {
+    decoder.decode(truncated.slice(0, truncated.byteLength - 1));
+    failures++;
+    console.error('FAIL truncated input on a live decoder: decoded without error');
+  } catch { /* expected */ }
+  const next = { type: 'checksum', frame: frame + 1, hash: 7 };
+  check('good message after a truncated one', decoder.decode(encoder.encode(next)), next);
+}
+
+console.table(rows);
+if (failures) {
+  console.error(`${failures} failure(s)`);
+  process.exit(1);
+}
+console.log('protocol round trip ok');